@@ -0,0 +1,57 @@
+// Operator access: the bearer token check in front of the admin API and the
+// full room description it returns, which includes everything players are
+// never shown.
+
+const { createHash, timingSafeEqual } = require("crypto")
+const { summarizeRoom } = require("./lobby")
+
+const digest = (value) => createHash("sha256").update(String(value)).digest()
+
+// Express middleware. Without a configured token the admin API doesn't exist.
+const requireAdminToken = (token) => (req, res, next) => {
+  if (!token) {
+    res.status(404).json({ error: "Not found" })
+    return
+  }
+
+  const [scheme, offered] = (req.get("authorization") || "").split(" ")
+  if (scheme !== "Bearer" || !offered || !timingSafeEqual(digest(offered), digest(token))) {
+    res.status(401).json({ error: "Unauthorized" })
+    return
+  }
+  next()
+}
+
+const describeRoom = (room) => ({
+  ...summarizeRoom(room),
+  currentWord: room.currentWord,
+  currentDrawer: room.currentDrawer?.id ?? null,
+  turn: room.turn,
+  timeLeft: room.timeLeft,
+  phaseEndsAt: room.phaseEndsAt,
+  gameId: room.gameId,
+  players: room.players.map((player) => ({
+    id: player.id,
+    name: player.name,
+    profileId: player.profileId,
+    clientId: player.clientId,
+    team: player.team,
+    score: player.score,
+    isHost: player.isHost,
+    isDrawing: player.isDrawing,
+    hasGuessed: player.hasGuessed,
+    isConnected: player.isConnected,
+  })),
+  spectators: room.spectators.map((spectator) => ({
+    id: spectator.id,
+    name: spectator.name,
+    profileId: spectator.profileId,
+    clientId: spectator.clientId,
+  })),
+  bans: room.bans,
+})
+
+module.exports = {
+  requireAdminToken,
+  describeRoom,
+}
@@ -0,0 +1,22 @@
+// A cluster is what game server nodes share so they can split rooms between
+// them:
+//
+//   adapter   Socket.IO adapter class so broadcasts reach every node
+//   storage   storage adapter (see ../storage) holding every room's state
+//   leases    acquire(roomId, nodeId, ttlMs) / release(roomId, nodeId) /
+//             owner(roomId) -> nodeId or null; the lease holder owns the room
+//             and is the only node running its timers and mutating it
+//   bus       publish(nodeId, message) / subscribe(nodeId, handler) for
+//             forwarding client events to the owning node
+//
+// Only the in-process implementation exists, so every node of a cluster runs
+// in the same process. Separate server processes (say, behind a load
+// balancer) don't form a cluster: each has its own leases, so they must not
+// share room storage either. That needs a networked implementation of the
+// same four pieces, which isn't written yet.
+
+const { createLocalCluster } = require("./local")
+
+module.exports = {
+  createLocalCluster,
+}
@@ -0,0 +1,91 @@
+// In-process cluster: several game servers in one process share a message
+// bus, a lease table and a storage adapter. It is what a single server uses
+// on its own, and lets tests run several nodes side by side.
+
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter")
+const { createMemoryStorage } = require("../storage/memory")
+
+const createLocalCluster = ({ storage = createMemoryStorage() } = {}) => {
+  const adapters = new Set()
+  const leases = new Map()
+  const subscribers = new Map()
+
+  // Delivery is always asynchronous, like it would be over the network
+  const deliver = (fn) => setImmediate(fn)
+
+  class LocalAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {})
+      adapters.add(this)
+    }
+
+    doPublish(message) {
+      const copy = structuredClone(message)
+      deliver(() => {
+        adapters.forEach((adapter) => {
+          if (adapter !== this && adapter.nsp.name === this.nsp.name) {
+            adapter.onMessage(copy)
+          }
+        })
+      })
+      return Promise.resolve("")
+    }
+
+    doPublishResponse(requesterUid, response) {
+      const copy = structuredClone(response)
+      deliver(() => {
+        adapters.forEach((adapter) => {
+          if (adapter.uid === requesterUid && adapter.nsp.name === this.nsp.name) {
+            adapter.onResponse(copy)
+          }
+        })
+      })
+      return Promise.resolve()
+    }
+
+    close() {
+      super.close()
+      adapters.delete(this)
+    }
+  }
+
+  const activeLease = (roomId) => {
+    const lease = leases.get(roomId)
+    return lease && lease.expiresAt > Date.now() ? lease : null
+  }
+
+  return {
+    adapter: LocalAdapter,
+    storage,
+    leases: {
+      // Takes or renews the lease unless another node holds a live one
+      acquire: async (roomId, nodeId, ttlMs) => {
+        const lease = activeLease(roomId)
+        if (lease && lease.nodeId !== nodeId) return false
+        leases.set(roomId, { nodeId, expiresAt: Date.now() + ttlMs })
+        return true
+      },
+      release: async (roomId, nodeId) => {
+        if (leases.get(roomId)?.nodeId === nodeId) leases.delete(roomId)
+      },
+      owner: async (roomId) => activeLease(roomId)?.nodeId ?? null,
+    },
+    bus: {
+      publish: async (nodeId, message) => {
+        const handler = subscribers.get(nodeId)
+        if (!handler) return false
+        const copy = structuredClone(message)
+        deliver(() => handler(copy))
+        return true
+      },
+      subscribe: (nodeId, handler) => {
+        subscribers.set(nodeId, handler)
+        return () => subscribers.delete(nodeId)
+      },
+    },
+  }
+}
+
+module.exports = {
+  createLocalCluster,
+}
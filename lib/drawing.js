@@ -0,0 +1,182 @@
+// Stroke validation and canvas storage. Live events are relayed as they
+// arrive, but a finished stroke is stored as a single compact record of its
+// style and points. Replays expand those records back into start/move/end.
+//
+// Every stroke, fill and clear gets a server-assigned strokeId so the drawer
+// can undo and redo them. A clear keeps what it wiped inside its own entry,
+// and only the latest clear stays undoable.
+
+const TOOLS = ["brush", "eraser"]
+const MAX_WIDTH = 50
+const MAX_STROKE_POINTS = 2000
+const MAX_CANVAS_POINTS = 20000
+
+const isCoordinate = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 1
+const isColor = (value) => typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+const isWidth = (value) => typeof value === "number" && Number.isFinite(value) && value >= 1 && value <= MAX_WIDTH
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+// Returns a sanitized copy of the event, or null if it doesn't fit the schema
+const validateDrawingEvent = (event) => {
+  if (!event || typeof event !== "object") return null
+
+  switch (event.type) {
+    case "start": {
+      const tool = event.tool ?? "brush"
+      if (!isCoordinate(event.x) || !isCoordinate(event.y)) return null
+      if (!isColor(event.color) || !isWidth(event.width) || !TOOLS.includes(tool)) return null
+      return { type: "start", x: round(event.x), y: round(event.y), color: event.color, width: event.width, tool }
+    }
+    case "move":
+      if (!isCoordinate(event.x) || !isCoordinate(event.y)) return null
+      return { type: "move", x: round(event.x), y: round(event.y) }
+    case "end":
+      return { type: "end" }
+    case "fill":
+      if (!isCoordinate(event.x) || !isCoordinate(event.y) || !isColor(event.color)) return null
+      return { type: "fill", x: round(event.x), y: round(event.y), color: event.color, tool: "fill" }
+    default:
+      return null
+  }
+}
+
+const resetCanvas = (room) => {
+  room.drawingData = []
+  room.activeStroke = null
+  room.redoStack = []
+  room.nextStrokeId = 1
+}
+
+const entrySize = (entry) => {
+  if (entry.type === "stroke") return entry.points.length
+  if (entry.type === "clear") return 0
+  return 1
+}
+
+// Points currently on the canvas; what a clear wiped doesn't count
+const canvasSize = (room) =>
+  room.drawingData.reduce((sum, entry) => sum + entrySize(entry), 0) +
+  (room.activeStroke ? room.activeStroke.points.length : 0)
+
+const finishActiveStroke = (room) => {
+  if (room.activeStroke) {
+    room.drawingData.push(room.activeStroke)
+    room.activeStroke = null
+  }
+}
+
+// Applies a validated event to the room's canvas. Returns the event to relay
+// (with the stroke id and style filled in), or an error string.
+const applyDrawingEvent = (room, event) => {
+  if (event.type !== "end" && canvasSize(room) >= MAX_CANVAS_POINTS) {
+    return { error: "Canvas is full, clear it to keep drawing" }
+  }
+
+  switch (event.type) {
+    case "start": {
+      // A start without an end still keeps the unfinished stroke
+      finishActiveStroke(room)
+      room.redoStack = []
+      const { type, x, y, ...style } = event
+      const strokeId = room.nextStrokeId++
+      room.activeStroke = { type: "stroke", strokeId, ...style, points: [[x, y]] }
+      return { event: { ...event, strokeId } }
+    }
+    case "move": {
+      const stroke = room.activeStroke
+      if (!stroke) return { error: "No stroke in progress" }
+      if (stroke.points.length >= MAX_STROKE_POINTS) return { error: "Stroke is too long" }
+      stroke.points.push([event.x, event.y])
+      return { event: { ...event, strokeId: stroke.strokeId, color: stroke.color, width: stroke.width, tool: stroke.tool } }
+    }
+    case "end": {
+      const strokeId = room.activeStroke?.strokeId
+      finishActiveStroke(room)
+      return { event: { ...event, strokeId } }
+    }
+    case "fill": {
+      finishActiveStroke(room)
+      room.redoStack = []
+      const fill = { ...event, strokeId: room.nextStrokeId++ }
+      room.drawingData.push(fill)
+      return { event: fill }
+    }
+  }
+}
+
+const clearCanvas = (room) => {
+  finishActiveStroke(room)
+
+  const wiped = room.drawingData.map((entry) => (entry.type === "clear" ? { ...entry, entries: [] } : entry))
+  const clear = { type: "clear", strokeId: room.nextStrokeId++, entries: wiped }
+  room.drawingData = [clear]
+  room.redoStack = []
+  return clear
+}
+
+// Removes the latest entry and returns it, or null when there is nothing to undo
+const undoStroke = (room) => {
+  finishActiveStroke(room)
+
+  const entry = room.drawingData.pop()
+  if (!entry) return null
+
+  if (entry.type === "clear") {
+    room.drawingData.push(...entry.entries)
+  }
+  room.redoStack.push(entry)
+  return entry
+}
+
+const redoStroke = (room) => {
+  finishActiveStroke(room)
+
+  const entry = room.redoStack.pop()
+  if (!entry) return null
+
+  if (entry.type === "clear") {
+    room.drawingData = [entry]
+  } else {
+    room.drawingData.push(entry)
+  }
+  return entry
+}
+
+const expandStroke = (stroke, closed = true) => {
+  const { type, points, ...style } = stroke
+  const [first, ...rest] = points
+  const events = [
+    { type: "start", x: first[0], y: first[1], ...style },
+    ...rest.map(([x, y]) => ({ type: "move", x, y, ...style })),
+  ]
+  if (closed) events.push({ type: "end", strokeId: stroke.strokeId })
+  return events
+}
+
+// The events that redraw one entry; a clear redraws everything it wiped
+const expandEntry = (entry) => {
+  if (entry.type === "stroke") return expandStroke(entry)
+  if (entry.type === "clear") return entry.entries.flatMap(expandEntry)
+  return [entry]
+}
+
+// The event stream a late joiner needs to rebuild the current canvas
+const getReplayEvents = (room) => {
+  const events = room.drawingData.filter((entry) => entry.type !== "clear").flatMap(expandEntry)
+  if (room.activeStroke) {
+    events.push(...expandStroke(room.activeStroke, false))
+  }
+  return events
+}
+
+module.exports = {
+  validateDrawingEvent,
+  applyDrawingEvent,
+  resetCanvas,
+  clearCanvas,
+  undoStroke,
+  redoStroke,
+  expandEntry,
+  getReplayEvents,
+}
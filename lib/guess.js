@@ -0,0 +1,83 @@
+// Guess matching. Both the guess and the word are normalized the same way so
+// "Ice-Cream", "icecream" and "ice  creams" all match "ice cream".
+//
+// Case folding follows the room's language (Turkish dotted/dotless i, German
+// ß matching "ss"), and text is compared in NFC so precomposed and combining
+// accents are equal. Accents are dropped entirely unless the room asks for
+// them to count.
+
+const stripPlural = (text) => {
+  if (text.length > 4 && /(s|x|z|ch|sh)es$/.test(text)) return text.slice(0, -2)
+  if (text.length > 3 && /[^s]s$/.test(text)) return text.slice(0, -1)
+  return text
+}
+
+const fold = (text, { language = "en", ignoreAccents = true } = {}) => {
+  const folded = String(text).normalize("NFC").toLocaleUpperCase(language).toLocaleLowerCase(language)
+  return ignoreAccents
+    ? folded.normalize("NFD").replace(/\p{M}/gu, "").replace(/[^\p{L}\p{N}]/gu, "")
+    : folded.replace(/[^\p{L}\p{N}\p{M}]/gu, "").normalize("NFC")
+}
+
+// Plurals are only stripped for English, where the suffix rules hold
+const normalizeGuess = (text, options = {}) => {
+  const folded = fold(text, options)
+  return (options.language || "en").toLowerCase().startsWith("en") ? stripPlural(folded) : folded
+}
+
+// Whether a longer message says the word: some run of whole words in it
+// normalizes to the word ("an ICE-cream!" says "ice cream"), while words
+// that merely contain it ("often", "ten") don't count
+const containsWord = (message, word, options = {}) => {
+  const needle = normalizeGuess(word, options)
+  if (!needle) return false
+
+  const words = String(message).split(/[^\p{L}\p{N}\p{M}]+/u).filter(Boolean)
+  return words.some((_, start) => {
+    for (let end = start + 1; end <= words.length; end++) {
+      const run = words.slice(start, end).join(" ")
+      if (normalizeGuess(run, options) === needle) return true
+      // Longer runs only fold to longer text, past any plural ending
+      if (fold(run, options).length > needle.length + 2) return false
+    }
+    return false
+  })
+}
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Longer words tolerate more typos before a guess stops counting as close
+const closeThreshold = (length) => Math.max(1, Math.floor(length / 4))
+
+// Returns "correct", "close" or null. Options are the room's language and
+// whether accents are ignored.
+const checkGuess = (guess, word, options = {}) => {
+  if (!guess || !word) return null
+
+  const normalizedGuess = normalizeGuess(guess, options)
+  const normalizedWord = normalizeGuess(word, options)
+  if (!normalizedGuess) return null
+  if (normalizedGuess === normalizedWord) return "correct"
+
+  const distance = editDistance(normalizedGuess, normalizedWord)
+  return distance <= closeThreshold(normalizedWord.length) ? "close" : null
+}
+
+module.exports = {
+  normalizeGuess,
+  containsWord,
+  editDistance,
+  checkGuess,
+}
@@ -0,0 +1,45 @@
+// Progressive letter reveals during the drawing phase. With room.hints = n
+// the i-th letter is revealed once 1 - 1/2^i of drawTime has elapsed, so two
+// hints land at 50% and 75%.
+
+const HINT_PENALTY = 0.25
+
+const isLetter = (char) => /[\p{L}\p{N}]/u.test(char)
+
+const getHintThresholds = (count) =>
+  Array.from({ length: count }, (_, i) => 1 - 1 / 2 ** (i + 1))
+
+// Never give away the whole word: at least one letter stays hidden
+const pickHintIndex = (word, revealed) => {
+  const hidden = Array.from(word)
+    .map((char, index) => (isLetter(char) && !revealed.includes(index) ? index : -1))
+    .filter((index) => index !== -1)
+
+  if (hidden.length <= 1) return -1
+  return hidden[Math.floor(Math.random() * hidden.length)]
+}
+
+// Reveals any letters that are due and reports whether the hint changed
+const revealDueHints = (room) => {
+  if (!room.currentWord || !room.hints || !room.drawTime) return false
+
+  const elapsed = (room.drawTime - room.timeLeft) / room.drawTime
+  const due = getHintThresholds(room.hints).filter((threshold) => elapsed >= threshold).length
+
+  let changed = false
+  while (room.revealedIndices.length < due) {
+    const index = pickHintIndex(room.currentWord, room.revealedIndices)
+    if (index === -1) break
+    room.revealedIndices.push(index)
+    changed = true
+  }
+  return changed
+}
+
+const applyHintPenalty = (points, hintsRevealed) =>
+  Math.floor(points * Math.max(0, 1 - HINT_PENALTY * hintsRevealed))
+
+module.exports = {
+  revealDueHints,
+  applyHintPenalty,
+}
@@ -0,0 +1,88 @@
+// Public room listings for the lobby browser. The same filters, sorting and
+// pagination back both the get-public-rooms event and GET /rooms.
+
+const { languageMatches } = require("./wordPacks")
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 50
+
+const SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  players: (a, b) => b.playerCount - a.playerCount || b.createdAt - a.createdAt,
+  name: (a, b) => a.name.localeCompare(b.name),
+}
+
+const isListed = (room) => !!room && !room.isPrivate
+
+const summarizeRoom = (room) => ({
+  id: room.id,
+  name: room.name,
+  playerCount: room.players.length,
+  spectatorCount: room.spectators.length,
+  maxPlayers: room.maxPlayers,
+  gameState: room.gameState,
+  gamePhase: room.gamePhase,
+  round: room.currentRound,
+  maxRounds: room.rounds,
+  mode: room.mode,
+  difficulty: room.difficulty,
+  categories: room.categories,
+  language: room.language,
+  host: room.players.find((p) => p.isHost)?.name || "Unknown",
+  isPrivate: !!room.isPrivate,
+  hasPassword: !!room.password,
+  createdAt: room.createdAt || 0,
+})
+
+// Query values arrive as strings over REST and as booleans over the socket
+const parseFlag = (value) => {
+  if (value === true || value === "true" || value === "1") return true
+  if (value === false || value === "false" || value === "0") return false
+  return undefined
+}
+
+const parsePositive = (value, fallback) => {
+  const number = Number.parseInt(value, 10)
+  return Number.isFinite(number) && number > 0 ? number : fallback
+}
+
+// Filters: difficulty, category, language, joinable (waiting with a free
+// slot), notFull and inProgress. Sorts: newest, oldest, players and name.
+const queryRooms = (rooms, query = {}) => {
+  const joinable = parseFlag(query.joinable)
+  const notFull = parseFlag(query.notFull)
+  const inProgress = parseFlag(query.inProgress)
+  const sort = SORTS[query.sort] ? query.sort : "newest"
+  const pageSize = Math.min(MAX_PAGE_SIZE, parsePositive(query.pageSize, DEFAULT_PAGE_SIZE))
+  const page = parsePositive(query.page, 1)
+
+  const matching = rooms
+    .filter(isListed)
+    .map(summarizeRoom)
+    .filter((room) => !query.difficulty || room.difficulty === query.difficulty)
+    .filter((room) => !query.category || room.categories.includes(query.category))
+    .filter((room) => !query.language || languageMatches(room.language, query.language))
+    .filter((room) => notFull === undefined || (room.playerCount < room.maxPlayers) === notFull)
+    .filter((room) => inProgress === undefined || (room.gameState === "playing") === inProgress)
+    .filter(
+      (room) =>
+        joinable === undefined ||
+        (room.gameState !== "playing" && room.playerCount < room.maxPlayers && !room.hasPassword) === joinable
+    )
+    .sort(SORTS[sort])
+
+  return {
+    rooms: matching.slice((page - 1) * pageSize, page * pageSize),
+    total: matching.length,
+    page,
+    pageSize,
+    sort,
+  }
+}
+
+module.exports = {
+  isListed,
+  summarizeRoom,
+  queryRooms,
+}
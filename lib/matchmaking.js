@@ -0,0 +1,98 @@
+// Quick-play matchmaking. Players wait in one first-come queue with optional
+// difficulty and language preferences. Two sets of preferences are
+// compatible when every preference both of them set agrees.
+
+const { languageMatches } = require("./wordPacks")
+
+// How many recent arrivals the wait estimate is based on
+const ARRIVAL_HISTORY = 20
+
+const compatible = (a, b) =>
+  (!a.difficulty || !b.difficulty || a.difficulty === b.difficulty) &&
+  (!a.language || !b.language || languageMatches(a.language, b.language))
+
+const merge = (a, b) => ({
+  difficulty: a.difficulty || b.difficulty,
+  language: a.language || b.language,
+})
+
+// Best open room from lobby listings: rooms still waiting come before games
+// in progress, and fuller rooms first so they get going sooner
+const pickRoom = (listings, preferences) =>
+  listings
+    .filter((listing) => listing.playerCount < listing.maxPlayers && !listing.hasPassword)
+    .filter((listing) => compatible(preferences, { difficulty: listing.difficulty, language: listing.language }))
+    .sort(
+      (a, b) =>
+        (a.gameState === "playing") - (b.gameState === "playing") ||
+        b.playerCount - a.playerCount
+    )[0] || null
+
+const createQueue = ({ minPlayers }) => {
+  let entries = []
+  let arrivals = []
+
+  const add = (entry) => {
+    const now = Date.now()
+    arrivals = [...arrivals, now].slice(-ARRIVAL_HISTORY)
+    entries.push({ ...entry, queuedAt: now })
+  }
+
+  const remove = (id) => {
+    const entry = entries.find((e) => e.id === id) || null
+    entries = entries.filter((e) => e.id !== id)
+    return entry
+  }
+
+  // Seconds until enough compatible players should have arrived, from the
+  // average gap between recent arrivals; null until there is a history
+  const estimateWait = (entry) => {
+    const waiting = entries.filter((e) => compatible(e.preferences, entry.preferences)).length
+    const needed = Math.max(0, minPlayers - waiting)
+    if (needed === 0) return 0
+    if (arrivals.length < 2) return null
+
+    const interval = (arrivals[arrivals.length - 1] - arrivals[0]) / (arrivals.length - 1)
+    return Math.ceil((needed * interval) / 1000)
+  }
+
+  const status = (id) => {
+    const index = entries.findIndex((e) => e.id === id)
+    if (index === -1) return null
+    return { position: index + 1, queueSize: entries.length, eta: estimateWait(entries[index]) }
+  }
+
+  // Takes the oldest group of at least minPlayers mutually compatible
+  // entries, up to maxPlayers, along with the preferences they share
+  const takeGroup = (maxPlayers) => {
+    for (const seed of entries) {
+      let preferences = seed.preferences
+      const group = [seed]
+      for (const entry of entries) {
+        if (group.length >= maxPlayers) break
+        if (entry === seed || !compatible(preferences, entry.preferences)) continue
+        group.push(entry)
+        preferences = merge(preferences, entry.preferences)
+      }
+
+      if (group.length >= minPlayers) {
+        entries = entries.filter((e) => !group.includes(e))
+        return { entries: group, preferences }
+      }
+    }
+    return null
+  }
+
+  return {
+    add,
+    remove,
+    status,
+    takeGroup,
+    entries: () => [...entries],
+  }
+}
+
+module.exports = {
+  pickRoom,
+  createQueue,
+}
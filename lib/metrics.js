@@ -0,0 +1,92 @@
+// Server metrics in the Prometheus text format. Counters and histograms are
+// updated as things happen; gauges are read from a callback at scrape time,
+// so they never go stale.
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : ""
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+
+const createMetrics = ({ prefix = "" } = {}) => {
+  const metrics = []
+
+  const register = (name, help, type, samples) => {
+    metrics.push({ name: `${prefix}${name}`, help, type, samples })
+  }
+
+  const counter = (name, help) => {
+    const values = new Map()
+    register(name, help, "counter", () => Array.from(values.values()))
+
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = labelKey(labels)
+        const current = values.get(key) || { labels, value: 0 }
+        values.set(key, { labels, value: current.value + amount })
+      },
+      samples: () => Array.from(values.values()),
+    }
+  }
+
+  // collect returns a number, or a list of { labels, value } samples
+  const gauge = (name, help, collect) => {
+    register(name, help, "gauge", () => {
+      const value = collect()
+      return Array.isArray(value) ? value : [{ labels: {}, value }]
+    })
+  }
+
+  const histogram = (name, help, buckets) => {
+    const counts = Array(buckets.length).fill(0)
+    let sum = 0
+    let count = 0
+
+    register(name, help, "histogram", () => [
+      ...buckets.map((bucket, i) => ({ suffix: "_bucket", labels: { le: bucket }, value: counts[i] })),
+      { suffix: "_bucket", labels: { le: "+Inf" }, value: count },
+      { suffix: "_sum", labels: {}, value: sum },
+      { suffix: "_count", labels: {}, value: count },
+    ])
+
+    return {
+      observe: (value) => {
+        buckets.forEach((bucket, i) => {
+          if (value <= bucket) counts[i] += 1
+        })
+        sum += value
+        count += 1
+      },
+    }
+  }
+
+  const render = () =>
+    metrics
+      .flatMap(({ name, help, type, samples }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...samples().map(({ suffix = "", labels, value }) => `${name}${suffix}${formatLabels(labels)} ${value}`),
+      ])
+      .join("\n") + "\n"
+
+  return { counter, gauge, histogram, render }
+}
+
+// Records how late each tick of a fixed interval fires, measured from the
+// tick before it
+const createTickProbe = (histogram, intervalMs) => {
+  let last = Date.now()
+  return () => {
+    const now = Date.now()
+    histogram.observe(Math.max(0, now - last - intervalMs) / 1000)
+    last = now
+  }
+}
+
+module.exports = {
+  createMetrics,
+  createTickProbe,
+}
@@ -0,0 +1,145 @@
+// Chat and content moderation: a configurable word filter, limits on
+// player-supplied text, chat flood control with escalating mutes, and the
+// per-room ban list.
+
+const { randomUUID } = require("crypto")
+const { createRateLimiter } = require("./rateLimit")
+
+const DEFAULT_BLOCKED_WORDS = ["fuck", "shit", "bitch", "cunt", "asshole", "bastard", "dick", "pussy", "slut", "whore"]
+const FILTER_MODES = ["mask", "block"]
+
+const MAX_NAME_LENGTH = 20
+const MAX_ROOM_NAME_LENGTH = 40
+const MAX_CHAT_LENGTH = 200
+const MAX_CUSTOM_WORDS = 200
+const MAX_CUSTOM_WORD_LENGTH = 30
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Blocked words match as whole words, optionally with a common ending
+// ("shits", "fucking"), so longer words that merely contain one
+// ("Scunthorpe", "dickens") get through.
+const createWordFilter = ({ words = DEFAULT_BLOCKED_WORDS, mode = "mask" } = {}) => {
+  const cleaned = words.map((word) => word.trim().toLowerCase()).filter(Boolean)
+  const pattern = cleaned.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${cleaned.map(escapeRegExp).join("|")})(?:s|es|ed|er|ers|ing)?(?![\\p{L}\\p{N}])`, "giu")
+    : null
+
+  const isClean = (text) => !pattern || !new RegExp(pattern).test(String(text))
+  const mask = (text) => (pattern ? String(text).replace(pattern, (match) => "*".repeat(match.length)) : String(text))
+
+  return { mode: FILTER_MODES.includes(mode) ? mode : "mask", isClean, mask }
+}
+
+// Blocked words come from MODERATION_WORDS (comma separated) when it is set
+const createWordFilterFromEnv = () =>
+  createWordFilter({
+    words: process.env.MODERATION_WORDS ? process.env.MODERATION_WORDS.split(",") : DEFAULT_BLOCKED_WORDS,
+    mode: process.env.MODERATION_MODE,
+  })
+
+const collapse = (text, maxLength) =>
+  String(text ?? "")
+    .replace(/[\p{Cc}\p{Cf}]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength)
+    .trim()
+
+// Names are always masked rather than refused; returns null if nothing is left
+const sanitizeName = (name, filter, maxLength = MAX_NAME_LENGTH) => {
+  const cleaned = collapse(name, maxLength)
+  return cleaned ? filter.mask(cleaned) : null
+}
+
+// Drops anything blocked, overlong or repeated from a custom word list
+const sanitizeCustomWords = (words, filter) => {
+  if (!Array.isArray(words)) return []
+
+  const seen = new Set()
+  return words
+    .map((word) => collapse(word, Infinity))
+    .filter((word) => word && word.length <= MAX_CUSTOM_WORD_LENGTH && filter.isClean(word))
+    .filter((word) => {
+      const key = word.toLowerCase()
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .slice(0, MAX_CUSTOM_WORDS)
+}
+
+// Per-socket chat flood control. Going over the rate earns a strike and a
+// mute; each strike mutes for longer, and strikes are forgiven after a
+// quiet spell.
+const createFloodControl = ({
+  capacity = 5,
+  refillPerSecond = 1,
+  muteSteps = [10000, 30000, 120000, 600000],
+  forgiveAfterMs = 600000,
+} = {}) => {
+  const limiter = createRateLimiter({ capacity, refillPerSecond })
+  let strikes = 0
+  let lastStrikeAt = 0
+  let mutedUntil = 0
+
+  const check = (now = Date.now()) => {
+    if (now < mutedUntil) return { allowed: false, mutedUntil }
+    if (strikes > 0 && now - lastStrikeAt > forgiveAfterMs) strikes = 0
+    if (limiter.tryConsume()) return { allowed: true }
+
+    strikes += 1
+    lastStrikeAt = now
+    mutedUntil = now + muteSteps[Math.min(strikes, muteSteps.length) - 1]
+    return { allowed: false, mutedUntil, strikes }
+  }
+
+  return { check }
+}
+
+const CLIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+// Keeps a client id the server handed out earlier, or issues a new one
+const resolveClientId = (offered) =>
+  typeof offered === "string" && CLIENT_ID_PATTERN.test(offered) ? offered : randomUUID()
+
+// Bans only match identities the server issued: the profile id and the
+// client id. Network addresses are never used, since everyone behind the
+// same proxy or network shares one. Recording both means a profile ban also
+// covers the same client coming back without its profile. A null duration
+// bans for as long as the room exists.
+const addBan = (room, { name, profileId, clientId }, durationMs = null, now = Date.now()) => {
+  const ban = {
+    id: randomUUID().slice(0, 8),
+    name,
+    profileId: profileId || null,
+    clientId: clientId || null,
+    bannedAt: now,
+    expiresAt: durationMs ? now + durationMs : null,
+  }
+  room.bans.push(ban)
+  return ban
+}
+
+const isBanned = (room, { profileId, clientId }, now = Date.now()) => {
+  room.bans = room.bans.filter((ban) => !ban.expiresAt || ban.expiresAt > now)
+  return room.bans.some(
+    (ban) => (!!ban.profileId && ban.profileId === profileId) || (!!ban.clientId && ban.clientId === clientId)
+  )
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_CHAT_LENGTH,
+  MAX_CUSTOM_WORDS,
+  MAX_CUSTOM_WORD_LENGTH,
+  createWordFilter,
+  createWordFilterFromEnv,
+  sanitizeName,
+  sanitizeCustomWords,
+  createFloodControl,
+  resolveClientId,
+  addBan,
+  isBanned,
+}
@@ -0,0 +1,145 @@
+// Optional persistent player identities. A client that wants stats generates
+// a random secret once and sends it as player.profileSecret; the public
+// profile id is derived from it, so nobody can record games under someone
+// else's profile just by knowing its id.
+//
+// Each finished game appends one record per profile. Stats and leaderboards
+// are aggregated from those records so they can be filtered by time window.
+
+const fs = require("fs/promises")
+const path = require("path")
+const { createHash } = require("crypto")
+const { rankByScore } = require("./scoring")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WINDOWS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  all: Infinity,
+}
+
+const profileIdFor = (secret) =>
+  typeof secret === "string" && secret.length >= 16
+    ? createHash("sha256").update(secret).digest("hex").slice(0, 16)
+    : null
+
+// Returns the earliest timestamp a window covers, or null for an unknown window
+const windowStart = (window = "all", now = Date.now()) =>
+  window in WINDOWS ? now - WINDOWS[window] : null
+
+// One record per profiled player, built from the game's turn summaries
+const buildGameResults = (room, leaderboard, finishedAt = Date.now()) => {
+  const summaries = room.turnSummaries || []
+
+  return room.players
+    .filter((player) => player.profileId)
+    .map((player) => {
+      const guesses = summaries.flatMap((summary) => summary.guesses.filter((g) => g.profileId === player.profileId))
+      const drawingsGuessed = summaries
+        .filter((summary) => summary.drawer?.profileId === player.profileId)
+        .reduce((sum, summary) => sum + summary.guesses.length, 0)
+
+      return {
+        profileId: player.profileId,
+        name: player.name,
+        avatar: player.avatar,
+        finishedAt,
+        points: player.score,
+        won: leaderboard.some((entry) => entry.id === player.id && entry.rank === 1),
+        correctGuesses: guesses.length,
+        guessTimeTotal: guesses.reduce((sum, g) => sum + g.timeTaken, 0),
+        drawingsGuessed,
+      }
+    })
+}
+
+const aggregate = (records) => {
+  const latest = records[records.length - 1]
+  const correctGuesses = records.reduce((sum, r) => sum + r.correctGuesses, 0)
+  const guessTimeTotal = records.reduce((sum, r) => sum + r.guessTimeTotal, 0)
+
+  return {
+    id: latest.profileId,
+    name: latest.name,
+    avatar: latest.avatar,
+    gamesPlayed: records.length,
+    wins: records.filter((r) => r.won).length,
+    totalPoints: records.reduce((sum, r) => sum + r.points, 0),
+    correctGuesses,
+    averageGuessTime: correctGuesses > 0 ? Math.round((guessTimeTotal / correctGuesses) * 10) / 10 : null,
+    drawingsGuessed: records.reduce((sum, r) => sum + r.drawingsGuessed, 0),
+  }
+}
+
+// Keeps records in memory, mirrored to a JSON file when one is given
+const createProfileStore = ({ file = null } = {}) => {
+  let records = []
+  let writing = Promise.resolve()
+
+  const loaded = (async () => {
+    if (!file) return
+    try {
+      records = JSON.parse(await fs.readFile(file, "utf8"))
+    } catch (error) {
+      if (error.code !== "ENOENT") console.error("[Profiles] Failed to load profiles:", error.message)
+    }
+  })()
+
+  const flush = () => {
+    if (!file) return writing
+    const snapshot = JSON.stringify(records)
+    writing = writing
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        await fs.writeFile(`${file}.tmp`, snapshot)
+        await fs.rename(`${file}.tmp`, file)
+      })
+      .catch((error) => {
+        console.error("[Profiles] Failed to save profiles:", error.message)
+      })
+    return writing
+  }
+
+  const recordGame = async (results) => {
+    await loaded
+    if (results.length === 0) return
+    records.push(...results)
+    await flush()
+  }
+
+  const getStats = async (profileId, since = -Infinity) => {
+    await loaded
+    const own = records.filter((r) => r.profileId === profileId)
+    if (own.length === 0) return null
+
+    const inWindow = own.filter((r) => r.finishedAt >= since)
+    if (inWindow.length > 0) return aggregate(inWindow)
+
+    const { id, name, avatar } = aggregate(own)
+    return { id, name, avatar, gamesPlayed: 0, wins: 0, totalPoints: 0, correctGuesses: 0, averageGuessTime: null, drawingsGuessed: 0 }
+  }
+
+  // Ranked by total points
+  const getLeaderboard = async (since = -Infinity, limit = 20) => {
+    await loaded
+    const byProfile = new Map()
+    records
+      .filter((r) => r.finishedAt >= since)
+      .forEach((r) => {
+        byProfile.set(r.profileId, [...(byProfile.get(r.profileId) || []), r])
+      })
+
+    const entries = Array.from(byProfile.values()).map(aggregate)
+    return rankByScore(entries, (entry) => entry.totalPoints).slice(0, limit)
+  }
+
+  return { recordGame, getStats, getLeaderboard }
+}
+
+module.exports = {
+  profileIdFor,
+  windowStart,
+  buildGameResults,
+  createProfileStore,
+}
@@ -0,0 +1,309 @@
+// The client protocol: version negotiation, a payload schema and phase rules
+// for every client event, and replies. Clients that pass an acknowledgement
+// callback get { ok: true, data } or { ok: false, code, message } back;
+// codes are stable and listed in ERROR_CODES, messages are for people.
+
+const { DIFFICULTIES } = require("./wordPacks")
+const { GAME_MODES, TEAM_ASSIGNMENTS } = require("./teams")
+const {
+  MAX_NAME_LENGTH,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_CHAT_LENGTH,
+  MAX_CUSTOM_WORDS,
+  MAX_CUSTOM_WORD_LENGTH,
+} = require("./moderation")
+
+const PROTOCOL_VERSION = 1
+const SUPPORTED_PROTOCOL_VERSIONS = [1]
+
+// What clients that send no version in the handshake are assumed to speak
+const LEGACY_PROTOCOL_VERSION = 1
+
+const ERROR_CODES = [
+  "INVALID_PAYLOAD",
+  "WRONG_PHASE",
+  "ROOM_NOT_FOUND",
+  "ROOM_FULL",
+  "WRONG_PASSWORD",
+  "BANNED",
+  "NOT_HOST",
+  "NOT_ALLOWED",
+  "NOT_IN_ROOM",
+  "ALREADY_IN_ROOM",
+  "PLAYER_NOT_FOUND",
+  "SESSION_EXPIRED",
+  "INVALID_NAME",
+  "UNSUPPORTED_LANGUAGE",
+  "UNKNOWN_WORD_PACK",
+  "NOT_ENOUGH_PLAYERS",
+  "INVALID_WORD",
+  "INVALID_DRAWING",
+  "MESSAGE_BLOCKED",
+  "MUTED",
+  "RATE_LIMITED",
+  "INTERNAL_ERROR",
+  "UNSUPPORTED_PROTOCOL",
+]
+
+// Schemas are validators: (value, path) => { value } or { error }. Objects
+// keep only the fields their schema names.
+const invalid = (path, problem) => ({ error: `${path || "payload"} ${problem}` })
+
+const optional = (validator, fallback) => (value, path) =>
+  value === undefined || value === null ? { value: fallback } : validator(value, path)
+
+const string = ({ min = 0, max, pattern = null }) => (value, path) => {
+  if (typeof value !== "string") return invalid(path, "must be a string")
+  if (value.length < min) return invalid(path, min === 1 ? "must not be empty" : `must be at least ${min} characters`)
+  if (value.length > max) return invalid(path, `must be at most ${max} characters`)
+  if (pattern && !pattern.test(value)) return invalid(path, "is not valid")
+  return { value }
+}
+
+const integer = ({ min, max }) => (value, path) =>
+  Number.isInteger(value) && value >= min && value <= max
+    ? { value }
+    : invalid(path, `must be a whole number from ${min} to ${max}`)
+
+const boolean = () => (value, path) => (typeof value === "boolean" ? { value } : invalid(path, "must be true or false"))
+
+const oneOf = (options) => (value, path) =>
+  options.includes(value) ? { value } : invalid(path, `must be one of ${options.join(", ")}`)
+
+const arrayOf = (item, { min = 0, max }) => (value, path) => {
+  if (!Array.isArray(value)) return invalid(path, "must be a list")
+  if (value.length < min || value.length > max) return invalid(path, `must have ${min} to ${max} items`)
+
+  const items = []
+  for (let i = 0; i < value.length; i++) {
+    const checked = item(value[i], `${path}[${i}]`)
+    if (checked.error) return checked
+    items.push(checked.value)
+  }
+  return { value: items }
+}
+
+const object = (fields) => (value, path) => {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) return invalid(path, "must be an object")
+
+  const result = {}
+  for (const [key, validator] of Object.entries(fields)) {
+    const checked = validator(value[key], path ? `${path}.${key}` : key)
+    if (checked.error) return checked
+    if (checked.value !== undefined) result[key] = checked.value
+  }
+  return { value: result }
+}
+
+// Any JSON value up to a size, for payloads checked in detail later on
+const json = ({ maxBytes }) => (value, path) => {
+  let size
+  try {
+    size = JSON.stringify(value)?.length ?? 0
+  } catch {
+    return invalid(path, "is not valid")
+  }
+  return size <= maxBytes ? { value } : invalid(path, "is too large")
+}
+
+const roomId = string({ min: 1, max: 16, pattern: /^[A-Za-z0-9]+$/ })
+const isRoomId = (value) => !roomId(value, "").error
+const memberId = string({ min: 1, max: 64 })
+
+const player = object({
+  name: string({ min: 1, max: MAX_NAME_LENGTH }),
+  avatar: optional(json({ maxBytes: 2048 })),
+  profileSecret: optional(string({ min: 16, max: 128 })),
+})
+
+const scoring = object({
+  maxGuessPoints: optional(integer({ min: 0, max: 1000 })),
+  minGuessPoints: optional(integer({ min: 0, max: 1000 })),
+  orderBonuses: optional(arrayOf(integer({ min: 0, max: 1000 }), { max: 10 })),
+  drawerMaxPoints: optional(integer({ min: 0, max: 1000 })),
+})
+
+const ROOM_DEFAULTS = { maxPlayers: 8, isPrivate: false, password: "", customWords: [], rounds: 3, drawTime: 80 }
+
+// Room settings shared by create-room, update-room and restart-game. Only
+// create-room fills in defaults.
+const roomSettings = (defaults = {}) => ({
+  maxPlayers: optional(integer({ min: 2, max: 20 }), defaults.maxPlayers),
+  isPrivate: optional(boolean(), defaults.isPrivate),
+  password: optional(string({ max: 50 }), defaults.password),
+  customWords: optional(
+    arrayOf(string({ max: MAX_CUSTOM_WORD_LENGTH }), { max: MAX_CUSTOM_WORDS }),
+    defaults.customWords
+  ),
+  rounds: optional(integer({ min: 1, max: 20 }), defaults.rounds),
+  drawTime: optional(integer({ min: 20, max: 300 }), defaults.drawTime),
+  categories: optional(arrayOf(string({ min: 1, max: 40 }), { max: 20 })),
+  difficulty: optional(oneOf([...DIFFICULTIES, "mixed"])),
+  wordChoiceTime: optional(integer({ min: 5, max: 60 })),
+  hints: optional(integer({ min: 0, max: 5 })),
+  scoring: optional(scoring),
+  wordPacks: optional(arrayOf(string({ min: 1, max: 64 }), { min: 1, max: 20 })),
+  language: optional(string({ min: 2, max: 35 })),
+  ignoreAccents: optional(boolean()),
+  mode: optional(oneOf(GAME_MODES)),
+  teamCount: optional(integer({ min: 2, max: 4 })),
+  teamAssignment: optional(oneOf(TEAM_ASSIGNMENTS)),
+  teammateWindow: optional(integer({ min: 0, max: 300 })),
+})
+
+// Settings that may still change while a game is being played
+const LIVE_ROOM_SETTINGS = ["roomId", "isPrivate", "password", "maxPlayers"]
+
+const lobbyQuery = object({
+  difficulty: optional(string({ max: 20 })),
+  category: optional(string({ max: 40 })),
+  language: optional(string({ max: 35 })),
+  joinable: optional(boolean()),
+  notFull: optional(boolean()),
+  inProgress: optional(boolean()),
+  sort: optional(string({ max: 20 })),
+  page: optional(integer({ min: 1, max: 10000 })),
+  pageSize: optional(integer({ min: 1, max: 50 })),
+})
+
+const inRoom = object({ roomId })
+const targetPlayer = object({ roomId, playerId: memberId })
+
+// For events that carry nothing; whatever a client sends is dropped
+const noPayload = () => ({ value: undefined })
+
+// Every client event. `phases` lists the game phases the event is allowed in
+// and `quiet` events only ever answer through acknowledgements, so a burst of
+// stale drawing events can't flood a client with errors.
+const EVENTS = {
+  "create-room": {
+    payload: object({
+      roomData: object({ name: optional(string({ max: MAX_ROOM_NAME_LENGTH })), ...roomSettings(ROOM_DEFAULTS) }),
+      player,
+    }),
+  },
+  "update-room": { payload: object({ roomId, ...roomSettings() }) },
+  "restart-game": { payload: object({ roomId, roomData: optional(object(roomSettings())) }) },
+  "join-room": { payload: object({ roomId, player, password: optional(string({ max: 50 })) }) },
+  "join-as-spectator": { payload: object({ roomId, player, password: optional(string({ max: 50 })) }) },
+  "promote-spectator": { payload: object({ roomId, spectatorId: memberId }), phases: ["waiting", "revealing"] },
+  "rejoin-room": { payload: object({ roomId, sessionToken: string({ min: 1, max: 64 }) }) },
+  "leave-room": { payload: inRoom },
+  "start-game": { payload: inRoom, phases: ["waiting"] },
+  "pause-game": { payload: inRoom, phases: ["choosing", "drawing"] },
+  "resume-game": { payload: inRoom, phases: ["paused"] },
+  "skip-turn": { payload: inRoom, phases: ["choosing", "drawing", "paused"] },
+  "end-game": { payload: inRoom, phases: ["choosing", "drawing", "revealing", "paused"] },
+  "transfer-host": { payload: targetPlayer },
+  "choose-word": { payload: object({ roomId, word: string({ min: 1, max: 100 }) }), phases: ["choosing"] },
+  // Allowed in every phase; the handler only counts guesses while drawing
+  "chat-message": { payload: object({ roomId, message: string({ min: 1, max: MAX_CHAT_LENGTH }) }) },
+  "drawing-event": {
+    payload: object({ roomId, event: json({ maxBytes: 64 * 1024 }) }),
+    phases: ["drawing"],
+    quiet: true,
+  },
+  "clear-canvas": { payload: inRoom, phases: ["drawing"], quiet: true },
+  "undo-stroke": { payload: inRoom, phases: ["drawing"], quiet: true },
+  "redo-stroke": { payload: inRoom, phases: ["drawing"], quiet: true },
+  "kick-player": { payload: targetPlayer },
+  "ban-player": { payload: targetPlayer },
+  "unban-player": { payload: object({ roomId, banId: string({ min: 1, max: 16 }) }) },
+  "vote-kick": { payload: targetPlayer },
+  "get-public-rooms": { payload: optional(lobbyQuery, {}) },
+  "choose-team": { payload: object({ roomId, team: integer({ min: 0, max: 3 }) }), phases: ["waiting"] },
+  "assign-team": { payload: object({ roomId, playerId: memberId, team: integer({ min: 0, max: 3 }) }), phases: ["waiting"] },
+  "quick-play": {
+    payload: object({
+      player,
+      preferences: optional(
+        object({
+          difficulty: optional(oneOf([...DIFFICULTIES, "mixed"])),
+          language: optional(string({ min: 2, max: 35 })),
+        }),
+        {}
+      ),
+    }),
+  },
+  "cancel-quick-play": { payload: noPayload },
+  "subscribe-lobby": { payload: noPayload },
+  "unsubscribe-lobby": { payload: noPayload },
+}
+
+const isKnownEvent = (event) => Object.hasOwn(EVENTS, event)
+
+const isQuiet = (event) => !!EVENTS[event]?.quiet
+
+const validatePayload = (event, payload) => EVENTS[event].payload(payload, "")
+
+// Rules that depend on the room's state rather than the payload alone.
+// Returns { code, message } when the event isn't allowed right now.
+const checkPhase = (event, room, payload) => {
+  const { phases } = EVENTS[event]
+  if (phases && !phases.includes(room.gamePhase)) {
+    return { code: "WRONG_PHASE", message: `${event} isn't allowed while the room is ${room.gamePhase}` }
+  }
+
+  if (event === "update-room" && room.gameState === "playing") {
+    const locked = Object.keys(payload).filter((key) => !LIVE_ROOM_SETTINGS.includes(key))
+    if (locked.length > 0) {
+      return { code: "WRONG_PHASE", message: `${locked.join(", ")} can't be changed during a game` }
+    }
+  }
+  return null
+}
+
+// Answers one client event, once. Clients with an acknowledgement callback
+// hear every outcome through it. Without one, error() falls back to the
+// "error" event as before while fail() says nothing, for cases that were
+// always silent or that have an event of their own.
+const createReply = (socket, event, ack) => {
+  let answered = false
+  const answer = (response) => {
+    if (answered) return false
+    answered = true
+    if (ack) ack(response)
+    return true
+  }
+
+  return {
+    ok: (data = null) => {
+      answer({ ok: true, data })
+    },
+    error: (code, message) => {
+      if (answer({ ok: false, code, message }) && !ack) {
+        socket.emit("error", { event, code, message })
+      }
+    },
+    fail: (code, message) => {
+      answer({ ok: false, code, message })
+    },
+  }
+}
+
+// Clients offer the versions they speak in the handshake, as protocolVersions
+// or protocolVersion in auth or the query string; the newest one both sides
+// support is used. Returns null when there is none.
+const negotiateProtocol = ({ auth = {}, query = {} } = {}) => {
+  const offered = [auth.protocolVersions, auth.protocolVersion, query.protocolVersion]
+    .flat()
+    .filter((version) => version !== undefined && version !== null)
+    .map(Number)
+  if (offered.length === 0) return LEGACY_PROTOCOL_VERSION
+
+  const shared = SUPPORTED_PROTOCOL_VERSIONS.filter((version) => offered.includes(version))
+  return shared.length > 0 ? Math.max(...shared) : null
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  isKnownEvent,
+  isRoomId,
+  isQuiet,
+  validatePayload,
+  checkPhase,
+  createReply,
+  negotiateProtocol,
+}
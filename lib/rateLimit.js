@@ -0,0 +1,23 @@
+// Token bucket: allows short bursts up to `capacity` while holding the
+// long-run rate to `refillPerSecond`.
+
+const createRateLimiter = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity
+  let lastRefill = Date.now()
+
+  const tryConsume = (cost = 1) => {
+    const now = Date.now()
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond)
+    lastRefill = now
+
+    if (tokens < cost) return false
+    tokens -= cost
+    return true
+  }
+
+  return { tryConsume }
+}
+
+module.exports = {
+  createRateLimiter,
+}
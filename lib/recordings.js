@@ -0,0 +1,158 @@
+// Turn recordings. While a turn is drawn, everything relayed to the other
+// players is also recorded with its offset from the start of the turn, so a
+// replay can re-emit the same events at the same pace. Finished turns are
+// archived with their word, drawer and final canvas, and kept for a
+// retention period.
+
+const fs = require("fs/promises")
+const path = require("path")
+const { randomUUID } = require("crypto")
+
+const MAX_RECORDED_EVENTS = 25000
+const SVG_WIDTH = 800
+const SVG_HEIGHT = 600
+const BACKGROUND = "#ffffff"
+
+const startRecording = (room) => {
+  room.recording = { startedAt: Date.now(), events: [], truncated: false }
+}
+
+// Very long turns stop recording rather than growing without bound
+const recordEvent = (room, event, data) => {
+  const recording = room.recording
+  if (!recording) return
+
+  if (recording.events.length >= MAX_RECORDED_EVENTS) {
+    recording.truncated = true
+    return
+  }
+  recording.events.push({ t: Date.now() - recording.startedAt, event, data })
+}
+
+const buildTurnRecording = (room, summary) => {
+  const endedAt = Date.now()
+  const canvas = room.activeStroke ? [...room.drawingData, room.activeStroke] : room.drawingData
+
+  return {
+    id: randomUUID(),
+    gameId: room.gameId,
+    roomId: room.id,
+    round: room.currentRound,
+    turn: room.turn,
+    word: summary.word,
+    drawer: summary.drawer ? { id: summary.drawer.id, name: summary.drawer.name } : null,
+    guessedBy: summary.guesses.map((guess) => guess.name),
+    startedAt: room.recording.startedAt,
+    endedAt,
+    duration: endedAt - room.recording.startedAt,
+    truncated: room.recording.truncated,
+    events: room.recording.events,
+    canvas: structuredClone(canvas),
+  }
+}
+
+// Everything but the event stream and canvas, for galleries
+const describeRecording = ({ events, canvas, ...meta }) => ({
+  ...meta,
+  replayUrl: `/recordings/${meta.id}`,
+  svgUrl: `/recordings/${meta.id}/svg`,
+})
+
+const toPoint = ([x, y]) => `${Math.round(x * SVG_WIDTH * 10) / 10} ${Math.round(y * SVG_HEIGHT * 10) / 10}`
+
+// Renders the final canvas. SVG has no flood fill, so a fill on an empty
+// canvas becomes the background colour and any later fills are left out.
+const renderSvg = (canvas) => {
+  const visible = canvas.filter((entry) => entry.type !== "clear")
+  const background = visible[0]?.type === "fill" ? visible[0].color : BACKGROUND
+
+  const paths = visible
+    .filter((entry) => entry.type === "stroke" && entry.points.length > 0)
+    .map((stroke) => {
+      const [first, ...rest] = stroke.points
+      const d = `M${toPoint(first)} ${(rest.length > 0 ? rest : [first]).map((point) => `L${toPoint(point)}`).join(" ")}`
+      const color = stroke.tool === "eraser" ? background : stroke.color
+      return `<path d="${d}" fill="none" stroke="${color}" stroke-width="${stroke.width}" stroke-linecap="round" stroke-linejoin="round"/>`
+    })
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" width="${SVG_WIDTH}" height="${SVG_HEIGHT}">`,
+    `<rect width="100%" height="100%" fill="${background}"/>`,
+    ...paths,
+    "</svg>",
+  ].join("\n")
+}
+
+// Keeps recordings in memory, or as one JSON file each when given a
+// directory. Either way a small index of every recording stays in memory.
+const createRecordingArchive = ({ dir = null, retentionMs }) => {
+  const index = new Map()
+  const stored = new Map()
+  const filePath = (id) => path.join(dir, `${id}.json`)
+
+  const loaded = (async () => {
+    if (!dir) return
+    await fs.mkdir(dir, { recursive: true })
+    const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".json"))
+    for (const file of files) {
+      try {
+        const recording = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"))
+        index.set(recording.id, describeRecording(recording))
+      } catch (error) {
+        console.error(`[Recordings] Skipping unreadable recording ${file}:`, error.message)
+      }
+    }
+  })()
+
+  const save = async (recording) => {
+    index.set(recording.id, describeRecording(recording))
+    if (!dir) {
+      stored.set(recording.id, recording)
+      return
+    }
+
+    await loaded
+    await fs.writeFile(`${filePath(recording.id)}.tmp`, JSON.stringify(recording))
+    await fs.rename(`${filePath(recording.id)}.tmp`, filePath(recording.id))
+  }
+
+  const get = async (id) => {
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null
+    if (!dir) return stored.get(id) || null
+
+    await loaded
+    try {
+      return JSON.parse(await fs.readFile(filePath(id), "utf8"))
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  }
+
+  // Turns of one game in play order
+  const gallery = (gameId) =>
+    Array.from(index.values())
+      .filter((recording) => recording.gameId === gameId)
+      .sort((a, b) => a.startedAt - b.startedAt)
+
+  const prune = async (now = Date.now()) => {
+    await loaded
+    const expired = Array.from(index.values()).filter((recording) => now - recording.endedAt > retentionMs)
+    for (const recording of expired) {
+      index.delete(recording.id)
+      stored.delete(recording.id)
+      if (dir) await fs.rm(filePath(recording.id), { force: true })
+    }
+    return expired.length
+  }
+
+  return { save, get, gallery, prune }
+}
+
+module.exports = {
+  startRecording,
+  recordEvent,
+  buildTurnRecording,
+  renderSvg,
+  createRecordingArchive,
+}
@@ -0,0 +1,112 @@
+// Builds what each recipient is allowed to see of a room. Anything secret
+// (the word, the password, the custom word list) is stripped unless the
+// viewer is entitled to it.
+
+const { getTurnInfo } = require("./turns")
+const { serializeTeams } = require("./teams")
+
+const maskWord = (word, revealed = []) => {
+  if (!word) return ""
+  return Array.from(word)
+    .map((char, index) => {
+      if (!/[\p{L}\p{N}]/u.test(char)) return char
+      return revealed.includes(index) ? char : "_"
+    })
+    .join(" ")
+}
+
+const serializePlayer = (player) => {
+  if (!player) return null
+  return {
+    id: player.id,
+    name: player.name,
+    avatar: player.avatar,
+    profileId: player.profileId,
+    team: player.team,
+    score: player.score,
+    isHost: player.isHost,
+    isDrawing: player.isDrawing,
+    socketId: player.socketId,
+    hasGuessed: player.hasGuessed,
+    isConnected: player.isConnected,
+  }
+}
+
+const serializePlayers = (players) => players.map(serializePlayer)
+
+const serializeSpectator = (spectator) => {
+  if (!spectator) return null
+  return {
+    id: spectator.id,
+    name: spectator.name,
+    avatar: spectator.avatar,
+    profileId: spectator.profileId,
+  }
+}
+
+const serializeSpectators = (spectators) => spectators.map(serializeSpectator)
+
+const canSeeWord = (room, viewerId) => {
+  if (!room.currentWord) return false
+  if (room.gamePhase !== "drawing" && room.gamePhase !== "paused") return true
+  return room.currentDrawer?.id === viewerId
+}
+
+const serializeRoom = (room, viewerId) => {
+  const viewer = room.players.find((p) => p.id === viewerId)
+  const isHost = !!viewer?.isHost
+  const showWord = canSeeWord(room, viewerId)
+
+  return {
+    id: room.id,
+    name: room.name,
+    maxPlayers: room.maxPlayers,
+    isPrivate: room.isPrivate,
+    hasPassword: !!room.password,
+    password: isHost ? room.password : undefined,
+    customWords: isHost ? room.customWords : undefined,
+    bans: isHost ? room.bans.map(({ id, name, expiresAt }) => ({ id, name, expiresAt })) : undefined,
+    rounds: room.rounds,
+    drawTime: room.drawTime,
+    categories: room.categories,
+    difficulty: room.difficulty,
+    wordPacks: room.wordPacks,
+    language: room.language,
+    ignoreAccents: room.ignoreAccents,
+    wordChoiceTime: room.wordChoiceTime,
+    hints: room.hints,
+    scoring: room.scoring,
+    mode: room.mode,
+    teamCount: room.teamCount,
+    teamAssignment: room.teamAssignment,
+    teammateWindow: room.teammateWindow,
+    teams: serializeTeams(room),
+    players: serializePlayers(room.players),
+    spectators: serializeSpectators(room.spectators),
+    currentRound: room.currentRound,
+    turn: room.turn,
+    turnsInRound: getTurnInfo(room).turnsInRound,
+    currentDrawer: serializePlayer(room.currentDrawer),
+    currentWord: showWord ? room.currentWord : null,
+    wordHint: maskWord(room.currentWord, room.revealedIndices),
+    wordLength: room.currentWord ? room.currentWord.length : 0,
+    gameState: room.gameState,
+    gamePhase: room.gamePhase,
+    pausedPhase: room.paused?.phase ?? null,
+    currentWordCategory: room.currentWordCategory,
+    currentWordIsCustom: showWord ? room.currentWordIsCustom : false,
+    timeLeft: room.timeLeft,
+    scores: room.scores,
+    usedWords: room.usedWords.filter((word) => showWord || word !== room.currentWord),
+    drawingData: room.drawingData,
+  }
+}
+
+module.exports = {
+  maskWord,
+  serializePlayer,
+  serializePlayers,
+  serializeSpectator,
+  serializeSpectators,
+  serializeRoom,
+}
@@ -0,0 +1,49 @@
+// Points for guessers and drawers. Rooms carry their own copy of the scoring
+// config so hosts can tune it per lobby.
+
+const { applyHintPenalty } = require("./hints")
+
+const DEFAULT_SCORING = {
+  maxGuessPoints: 100,
+  minGuessPoints: 10,
+  orderBonuses: [50, 30, 15],
+  drawerMaxPoints: 100,
+}
+
+const resolveScoring = (overrides = {}) => ({ ...DEFAULT_SCORING, ...overrides })
+
+// Time-decay points relative to drawTime, cut by any hints shown, plus a
+// bonus for the first few correct guessers
+const scoreGuess = (scoring, { timeLeft, drawTime, order, hintsRevealed = 0 }) => {
+  const ratio = drawTime > 0 ? Math.min(1, Math.max(0, timeLeft) / drawTime) : 0
+  const timePoints = Math.round((scoring.maxGuessPoints - scoring.minGuessPoints) * ratio)
+  const bonus = scoring.orderBonuses[order - 1] || 0
+  return scoring.minGuessPoints + applyHintPenalty(timePoints, hintsRevealed) + bonus
+}
+
+const scoreDrawer = (scoring, guessedCount, eligibleCount) => {
+  if (eligibleCount <= 0) return 0
+  return Math.round(scoring.drawerMaxPoints * Math.min(1, guessedCount / eligibleCount))
+}
+
+// Highest score first, each entry with a rank added; tied entries share a
+// rank (1, 1, 3)
+const rankByScore = (entries, scoreOf = (entry) => entry.score) => {
+  const sorted = [...entries].sort((a, b) => scoreOf(b) - scoreOf(a))
+  return sorted.map((entry) => ({
+    rank: sorted.findIndex((e) => scoreOf(e) === scoreOf(entry)) + 1,
+    ...entry,
+  }))
+}
+
+const rankPlayers = (players) =>
+  rankByScore(players).map(({ rank, id, name, avatar, score }) => ({ rank, id, name, avatar, score }))
+
+module.exports = {
+  DEFAULT_SCORING,
+  resolveScoring,
+  scoreGuess,
+  scoreDrawer,
+  rankByScore,
+  rankPlayers,
+}
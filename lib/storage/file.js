@@ -0,0 +1,56 @@
+// Stores each room as a JSON file in one directory. Writes go to a temp file
+// first and are renamed into place so a crash never leaves half a room.
+
+const fs = require("fs/promises")
+const path = require("path")
+
+const createFileStorage = (directory) => {
+  // Room ids become file names, so anything but letters and digits is refused
+  const roomPath = (roomId) => {
+    if (!/^[A-Za-z0-9]+$/.test(String(roomId))) throw new Error(`Invalid room id "${roomId}"`)
+    return path.join(directory, `${roomId}.json`)
+  }
+  const ready = fs.mkdir(directory, { recursive: true })
+
+  return {
+    loadRooms: async () => {
+      await ready
+      const files = (await fs.readdir(directory)).filter((file) => file.endsWith(".json"))
+      const loaded = await Promise.all(
+        files.map(async (file) => {
+          try {
+            return JSON.parse(await fs.readFile(path.join(directory, file), "utf8"))
+          } catch (error) {
+            console.error(`[Storage] Skipping unreadable room file ${file}:`, error.message)
+            return null
+          }
+        })
+      )
+      return loaded.filter(Boolean)
+    },
+    loadRoom: async (roomId) => {
+      await ready
+      try {
+        return JSON.parse(await fs.readFile(roomPath(roomId), "utf8"))
+      } catch (error) {
+        if (error.code === "ENOENT") return null
+        throw error
+      }
+    },
+    saveRoom: async (room) => {
+      await ready
+      const target = roomPath(room.id)
+      const temp = `${target}.tmp`
+      await fs.writeFile(temp, JSON.stringify(room))
+      await fs.rename(temp, target)
+    },
+    deleteRoom: async (roomId) => {
+      await ready
+      await fs.rm(roomPath(roomId), { force: true })
+    },
+  }
+}
+
+module.exports = {
+  createFileStorage,
+}
@@ -0,0 +1,81 @@
+// Storage adapters share one interface:
+//   loadRooms() -> Promise<room[]>
+//   loadRoom(roomId) -> Promise<room | null>
+//   saveRoom(room) -> Promise
+//   deleteRoom(roomId) -> Promise
+// createPersistence wraps an adapter so callers can ask for a save on every
+// state change; saves for the same room are coalesced and always write the
+// latest state.
+
+const path = require("path")
+const { createMemoryStorage } = require("./memory")
+const { createFileStorage } = require("./file")
+
+const SAVE_DELAY_MS = 250
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || "memory") => {
+  switch (driver) {
+    case "memory":
+      return createMemoryStorage()
+    case "file":
+      return createFileStorage(process.env.STORAGE_DIR || path.join(__dirname, "..", "..", "data", "rooms"))
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`)
+  }
+}
+
+// Rooms hold a live reference to the drawer's player object; store its id
+const toStoredRoom = (room) => ({
+  ...room,
+  currentDrawer: room.currentDrawer?.id ?? null,
+})
+
+const fromStoredRoom = (stored) => ({
+  ...stored,
+  currentDrawer: stored.players.find((p) => p.id === stored.currentDrawer) || null,
+})
+
+const createPersistence = (adapter) => {
+  const pending = new Map()
+
+  const save = (room) => {
+    if (pending.has(room.id)) return
+
+    pending.set(
+      room.id,
+      setTimeout(() => {
+        pending.delete(room.id)
+        adapter.saveRoom(toStoredRoom(room)).catch((error) => {
+          console.error(`[Storage] Failed to save room ${room.id}:`, error)
+        })
+      }, SAVE_DELAY_MS)
+    )
+  }
+
+  // Drops a pending save, e.g. when another node now owns the room
+  const cancel = (roomId) => {
+    clearTimeout(pending.get(roomId))
+    pending.delete(roomId)
+  }
+
+  const remove = (roomId) => {
+    cancel(roomId)
+    adapter.deleteRoom(roomId).catch((error) => {
+      console.error(`[Storage] Failed to delete room ${roomId}:`, error)
+    })
+  }
+
+  const load = async () => (await adapter.loadRooms()).map(fromStoredRoom)
+
+  const loadOne = async (roomId) => {
+    const stored = await adapter.loadRoom(roomId)
+    return stored ? fromStoredRoom(stored) : null
+  }
+
+  return { save, cancel, remove, load, loadOne }
+}
+
+module.exports = {
+  createStorage,
+  createPersistence,
+}
@@ -0,0 +1,21 @@
+// Keeps rooms in process memory only, so nothing survives a restart. This is
+// the default and matches how the server has always behaved.
+
+const createMemoryStorage = () => {
+  const stored = new Map()
+
+  return {
+    loadRooms: async () => Array.from(stored.values()).map((room) => JSON.parse(room)),
+    loadRoom: async (roomId) => (stored.has(roomId) ? JSON.parse(stored.get(roomId)) : null),
+    saveRoom: async (room) => {
+      stored.set(room.id, JSON.stringify(room))
+    },
+    deleteRoom: async (roomId) => {
+      stored.delete(roomId)
+    },
+  }
+}
+
+module.exports = {
+  createMemoryStorage,
+}
@@ -0,0 +1,107 @@
+// Team mode. Players carry a team index (0-based) and room.teamScores holds
+// what each team has earned, so points stay with the team even if the
+// player who scored them leaves. Drawers alternate between teams.
+
+const { rankByScore } = require("./scoring")
+
+const TEAM_NAMES = ["Red", "Blue", "Green", "Yellow"]
+const MIN_TEAMS = 2
+const MAX_TEAMS = TEAM_NAMES.length
+
+const GAME_MODES = ["classic", "teams"]
+const TEAM_ASSIGNMENTS = ["auto", "manual"]
+
+const isTeamGame = (room) => room.mode === "teams"
+
+const clampTeamCount = (value) => Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, Math.round(Number(value)) || MIN_TEAMS))
+
+const isTeam = (room, team) => Number.isInteger(team) && team >= 0 && team < room.teamCount
+
+const teamSizes = (room) =>
+  Array.from({ length: room.teamCount }, (_, team) => room.players.filter((p) => p.team === team).length)
+
+const smallestTeam = (room) => {
+  const sizes = teamSizes(room)
+  return sizes.indexOf(Math.min(...sizes))
+}
+
+// Clears teams that no longer exist and, when filling, puts everyone
+// without a team on the smallest one. Automatic assignment always fills;
+// manual assignment only fills at game start, for players who never picked.
+const syncTeams = (room, { fill = room.teamAssignment === "auto" } = {}) => {
+  room.players.forEach((player) => {
+    if (!isTeamGame(room) || !isTeam(room, player.team)) player.team = null
+  })
+  if (!isTeamGame(room) || !fill) return
+
+  room.players
+    .filter((player) => player.team === null)
+    .forEach((player) => {
+      player.team = smallestTeam(room)
+    })
+}
+
+// Orders drawers so consecutive turns go to different teams: the first
+// player of each team, then the second of each, and so on. Anyone without a
+// team goes last.
+const interleaveTeams = (room, players) => {
+  const byTeam = Array.from({ length: room.teamCount }, (_, team) => players.filter((p) => p.team === team))
+  const longest = Math.max(0, ...byTeam.map((members) => members.length))
+  const order = []
+
+  for (let i = 0; i < longest; i++) {
+    byTeam.forEach((members) => {
+      if (members[i]) order.push(members[i])
+    })
+  }
+  return [...order, ...players.filter((p) => !order.includes(p))]
+}
+
+const resetTeamScores = (room) => {
+  room.teamScores = Array(room.teamCount).fill(0)
+}
+
+const addTeamPoints = (room, player, points) => {
+  if (!isTeamGame(room) || !isTeam(room, player.team)) return
+  room.teamScores[player.team] = (room.teamScores[player.team] || 0) + points
+}
+
+// During the teammate window only the drawer's own team may guess
+const canGuessNow = (room, player) => {
+  if (!isTeamGame(room) || !room.teammateWindow) return true
+  const elapsed = room.drawTime - room.timeLeft
+  return elapsed >= room.teammateWindow || player.team === room.currentDrawer?.team
+}
+
+const serializeTeams = (room) => {
+  if (!isTeamGame(room)) return []
+
+  return Array.from({ length: room.teamCount }, (_, team) => ({
+    id: team,
+    name: TEAM_NAMES[team],
+    score: room.teamScores[team] || 0,
+    playerIds: room.players.filter((p) => p.team === team).map((p) => p.id),
+  }))
+}
+
+// Team standings for game-finished
+const rankTeams = (room) =>
+  rankByScore(serializeTeams(room)).map((team) => ({
+    ...team,
+    players: room.players.filter((p) => p.team === team.id).map((p) => p.name),
+  }))
+
+module.exports = {
+  GAME_MODES,
+  TEAM_ASSIGNMENTS,
+  isTeamGame,
+  clampTeamCount,
+  isTeam,
+  syncTeams,
+  interleaveTeams,
+  resetTeamScores,
+  addTeamPoints,
+  canGuessNow,
+  serializeTeams,
+  rankTeams,
+}
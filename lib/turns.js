@@ -0,0 +1,39 @@
+// Round/turn bookkeeping. A round is one full cycle in which every connected
+// player draws once; room.drawQueue holds the ids still waiting for their
+// turn in the current round. In team games the queue alternates teams.
+
+const { isTeamGame, interleaveTeams } = require("./teams")
+
+const isAvailable = (room, playerId) =>
+  room.players.some((p) => p.id === playerId && p.isConnected)
+
+const buildDrawQueue = (room) => {
+  const connected = room.players.filter((p) => p.isConnected)
+  return (isTeamGame(room) ? interleaveTeams(room, connected) : connected).map((p) => p.id)
+}
+
+const takeNextDrawer = (room) => {
+  while (room.drawQueue.length > 0) {
+    const playerId = room.drawQueue.shift()
+    if (isAvailable(room, playerId)) {
+      return room.players.find((p) => p.id === playerId)
+    }
+  }
+  return null
+}
+
+const hasNextDrawer = (room) => room.drawQueue.some((playerId) => isAvailable(room, playerId))
+
+const getTurnInfo = (room) => ({
+  round: room.currentRound,
+  maxRounds: room.rounds,
+  turn: room.turn,
+  turnsInRound: room.turn + room.drawQueue.filter((playerId) => isAvailable(room, playerId)).length,
+})
+
+module.exports = {
+  buildDrawQueue,
+  takeNextDrawer,
+  hasNextDrawer,
+  getTurnInfo,
+}
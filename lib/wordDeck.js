@@ -0,0 +1,62 @@
+// Per-room word deck. Words are dealt in a shuffled order fixed by the deck's
+// seed and how many times it has been reshuffled, so a restored room keeps
+// dealing the same sequence. Every offered word counts as dealt, and a pool
+// only starts repeating once all of its words have been dealt.
+
+const { randomInt } = require("crypto")
+
+const createDeck = () => ({
+  seed: randomInt(2 ** 32),
+  reshuffles: 0,
+  dealt: [],
+})
+
+// mulberry32: small, fast and good enough to shuffle word lists
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const shuffleWords = (words, seed) => {
+  const random = createRandom(seed)
+  const shuffled = [...words]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+// Deals the next word from the pool, skipping words already dealt and any in
+// `taken`. Words in `avoid` (recent games) are skipped too unless nothing
+// else is left. Returns null only if the pool has nothing outside `taken`.
+const dealWord = (deck, pool, { taken = [], avoid = [] } = {}) => {
+  const available = pool.filter((word) => !taken.includes(word))
+  if (available.length === 0) return null
+
+  let fresh = available.filter((word) => !deck.dealt.includes(word))
+  if (fresh.length === 0) {
+    deck.reshuffles += 1
+    deck.dealt = deck.dealt.filter((word) => !pool.includes(word))
+    fresh = available
+  }
+
+  const preferred = fresh.filter((word) => !avoid.includes(word))
+  const candidates = preferred.length > 0 ? preferred : fresh
+  const word = shuffleWords(pool, deck.seed + deck.reshuffles).find((w) => candidates.includes(w))
+
+  deck.dealt.push(word)
+  return word
+}
+
+module.exports = {
+  createDeck,
+  shuffleWords,
+  dealWord,
+}
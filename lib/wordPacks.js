@@ -0,0 +1,232 @@
+// Word packs: named word lists where every word is tagged with a category,
+// difficulty and language. Built-in packs ship with the server; uploaded
+// packs are written to their own directory so they survive restarts.
+//
+// Packs are JSON ({ id, name, language, words: [{ word, category,
+// difficulty, language }] }) or CSV with a word,category,difficulty[,language]
+// header, in which case the pack's id, name and language come separately.
+
+const fs = require("fs")
+const path = require("path")
+
+const DIFFICULTIES = ["easy", "medium", "hard"]
+const DEFAULT_PACK_ID = "default"
+const DEFAULT_LANGUAGE = "en"
+const MAX_PACK_WORDS = 5000
+const MAX_UPLOADED_PACKS = 50
+const MAX_WORD_LENGTH = 40
+
+const isPackId = (value) => typeof value === "string" && /^[a-z0-9][a-z0-9-]{0,39}$/.test(value)
+// The tag in canonical form ("pt-BR"), or null unless it is a language tag
+// the locale-aware string functions accept
+const canonicalLanguage = (value) => {
+  if (typeof value !== "string" || !/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(value)) return null
+  try {
+    return Intl.getCanonicalLocales(value)[0]
+  } catch {
+    return null
+  }
+}
+
+const isLanguage = (value) => canonicalLanguage(value) !== null
+
+// Languages match on their primary subtag, so an "fr" room uses "fr-CA" words
+const languageMatches = (a, b) =>
+  typeof a === "string" && typeof b === "string" && a.split("-")[0].toLowerCase() === b.split("-")[0].toLowerCase()
+
+const cleanText = (value) => (typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "")
+
+// Returns a sanitized pack, or throws with a message suitable for the uploader
+const parsePack = (data) => {
+  if (!data || typeof data !== "object") throw new Error("Pack must be an object")
+  if (!isPackId(data.id)) throw new Error("Pack id must be lowercase letters, digits and dashes")
+
+  const language = data.language ?? DEFAULT_LANGUAGE
+  if (!isLanguage(language)) throw new Error(`Unknown language "${language}"`)
+  if (!Array.isArray(data.words) || data.words.length === 0) throw new Error("Pack has no words")
+  if (data.words.length > MAX_PACK_WORDS) throw new Error(`Packs are limited to ${MAX_PACK_WORDS} words`)
+
+  const seen = new Set()
+  const words = []
+  data.words.forEach((entry, index) => {
+    const word = cleanText(entry?.word)
+    const category = cleanText(entry?.category)
+    const difficulty = cleanText(entry?.difficulty).toLowerCase()
+    const wordLanguage = entry?.language ? cleanText(entry.language) : language
+
+    if (!word || word.length > MAX_WORD_LENGTH) throw new Error(`Word ${index + 1} is empty or too long`)
+    if (!category) throw new Error(`Word "${word}" has no category`)
+    if (!DIFFICULTIES.includes(difficulty)) throw new Error(`Word "${word}" has unknown difficulty "${difficulty}"`)
+    if (!isLanguage(wordLanguage)) throw new Error(`Word "${word}" has unknown language "${wordLanguage}"`)
+
+    const key = `${word.toLowerCase()}|${category}|${difficulty}|${wordLanguage}`
+    if (seen.has(key)) return
+    seen.add(key)
+    words.push({ word, category, difficulty, language: wordLanguage })
+  })
+
+  return { id: data.id, name: cleanText(data.name) || data.id, language, words }
+}
+
+// Splits one CSV line, honouring double-quoted fields
+const splitCsvLine = (line) => {
+  const fields = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(field)
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+  return fields
+}
+
+const parseCsvPack = (text, { id, name, language } = {}) => {
+  const lines = String(text).split(/\r?\n/).filter((line) => line.trim())
+  if (lines.length === 0) throw new Error("CSV is empty")
+
+  const header = splitCsvLine(lines[0]).map((column) => column.trim().toLowerCase())
+  const columns = ["word", "category", "difficulty"]
+  if (!columns.every((column) => header.includes(column))) {
+    throw new Error("CSV header must include word, category and difficulty")
+  }
+
+  const words = lines.slice(1).map((line) => {
+    const fields = splitCsvLine(line)
+    return Object.fromEntries(header.map((column, i) => [column, fields[i]]))
+  })
+
+  return parsePack({ id, name, language, words })
+}
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+
+const toCsv = (pack) =>
+  [
+    "word,category,difficulty,language",
+    ...pack.words.map((entry) =>
+      [entry.word, entry.category, entry.difficulty, entry.language].map(csvField).join(",")
+    ),
+  ].join("\n") + "\n"
+
+const summarizePack = (pack) => ({
+  id: pack.id,
+  name: pack.name,
+  language: pack.language,
+  builtIn: !!pack.builtIn,
+  wordCount: pack.words.length,
+  categories: [...new Set(pack.words.map((entry) => entry.category))],
+  difficulties: DIFFICULTIES.filter((difficulty) => pack.words.some((entry) => entry.difficulty === difficulty)),
+})
+
+// Reads every .json pack in a directory; unreadable files are skipped
+const readPackDir = (directory) => {
+  if (!fs.existsSync(directory)) return []
+
+  return fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return parsePack(JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")))
+      } catch (error) {
+        console.error(`[WordPacks] Skipping pack file ${file}:`, error.message)
+        return null
+      }
+    })
+    .filter(Boolean)
+}
+
+const createWordPackRegistry = ({ builtInDir, uploadDir = null }) => {
+  const packs = new Map()
+  readPackDir(builtInDir).forEach((pack) => packs.set(pack.id, { ...pack, builtIn: true }))
+  if (uploadDir) {
+    readPackDir(uploadDir).forEach((pack) => {
+      if (!packs.has(pack.id)) packs.set(pack.id, pack)
+    })
+  }
+
+  const has = (id) => packs.has(id)
+  const isFull = () => Array.from(packs.values()).filter((pack) => !pack.builtIn).length >= MAX_UPLOADED_PACKS
+  const get = (id) => packs.get(id) || null
+  const list = () => Array.from(packs.values()).map(summarizePack)
+
+  // Every language at least one pack has words in
+  const languages = () => {
+    const words = Array.from(packs.values()).flatMap((pack) => pack.words)
+    return [...new Set(words.map((entry) => entry.language.split("-")[0].toLowerCase()))]
+  }
+
+  // The built-in packs for a language, used when a room doesn't pick its own
+  const packsFor = (language) => {
+    const ids = Array.from(packs.values())
+      .filter((pack) => pack.builtIn && languageMatches(pack.language, language))
+      .map((pack) => pack.id)
+    return ids.length > 0 ? ids : [DEFAULT_PACK_ID]
+  }
+
+  const add = async (pack) => {
+    if (packs.has(pack.id)) throw new Error(`Pack "${pack.id}" already exists`)
+    if (isFull()) throw new Error(`No more than ${MAX_UPLOADED_PACKS} packs can be uploaded`)
+    packs.set(pack.id, pack)
+
+    if (uploadDir) {
+      const target = path.join(uploadDir, `${pack.id}.json`)
+      await fs.promises.mkdir(uploadDir, { recursive: true })
+      await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(pack))
+      await fs.promises.rename(`${target}.tmp`, target)
+    }
+    return summarizePack(pack)
+  }
+
+  // Words from the given packs matching every filter that is set: a word has
+  // to be in one of the categories AND at the difficulty, not either
+  const selectWords = (packIds, { categories = [], difficulty = "mixed", language = null } = {}) =>
+    packIds
+      .map(get)
+      .filter(Boolean)
+      .flatMap((pack) => pack.words)
+      .filter((entry) => categories.length === 0 || categories.includes(entry.category))
+      .filter((entry) => difficulty === "mixed" || entry.difficulty === difficulty)
+      .filter((entry) => !language || languageMatches(entry.language, language))
+
+  const findWord = (packIds, word) =>
+    packIds
+      .map(get)
+      .filter(Boolean)
+      .flatMap((pack) => pack.words)
+      .find((entry) => entry.word === word) || null
+
+  return { has, isFull, get, list, languages, packsFor, add, selectWords, findWord }
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_PACK_ID,
+  MAX_UPLOADED_PACKS,
+  isPackId,
+  canonicalLanguage,
+  isLanguage,
+  languageMatches,
+  parsePack,
+  parseCsvPack,
+  toCsv,
+  createWordPackRegistry,
+}
@@ -1,33 +1,151 @@
 const { Server } = require("socket.io")
 const { createServer } = require("http")
+const { randomUUID } = require("crypto")
 const express = require('express')
-
-const app = express()
-const httpServer = createServer(app)
-const io = new Server(httpServer, {
-  cors: {
-    origin: [
-      "https://brush-rush.vercel.app",
-      "http://localhost:3000",
-      /\.vercel\.app$/, // Allow all Vercel preview deployments
-    ],
-    methods: ["GET", "POST"],
-    credentials: true,
-  },
-  transports: ["websocket", "polling"],
-  pingTimeout: 60000,
-  pingInterval: 25000,
-  connectTimeout: 45000,
-});
-
-
-// Game state management
-const rooms = new Map()
-const playerRooms = new Map()
-const roomTimers = new Map()
-
-// Room interface structure
-const createRoom = (id, name, maxPlayers, isPrivate, password, customWords, rounds, drawTime, categories = [], difficulty = "mixed") => ({
+const path = require("path")
+const {
+  maskWord,
+  serializeRoom,
+  serializePlayer,
+  serializePlayers,
+  serializeSpectator,
+  serializeSpectators,
+} = require("./lib/roomView")
+const { buildDrawQueue, takeNextDrawer, hasNextDrawer, getTurnInfo } = require("./lib/turns")
+const { revealDueHints } = require("./lib/hints")
+const { resolveScoring, scoreGuess, scoreDrawer, rankPlayers } = require("./lib/scoring")
+const { checkGuess, containsWord } = require("./lib/guess")
+const {
+  validateDrawingEvent,
+  applyDrawingEvent,
+  resetCanvas,
+  clearCanvas,
+  undoStroke,
+  redoStroke,
+  expandEntry,
+  getReplayEvents,
+} = require("./lib/drawing")
+const { createRateLimiter } = require("./lib/rateLimit")
+const { createStorage, createPersistence } = require("./lib/storage")
+const { createLocalCluster } = require("./lib/cluster")
+const { profileIdFor, windowStart, buildGameResults, createProfileStore } = require("./lib/profiles")
+const {
+  DEFAULT_PACK_ID,
+  MAX_UPLOADED_PACKS,
+  canonicalLanguage,
+  languageMatches,
+  parsePack,
+  parseCsvPack,
+  toCsv,
+  createWordPackRegistry,
+} = require("./lib/wordPacks")
+const { createDeck, dealWord } = require("./lib/wordDeck")
+const { isListed, summarizeRoom, queryRooms } = require("./lib/lobby")
+const { pickRoom, createQueue } = require("./lib/matchmaking")
+const {
+  GAME_MODES,
+  TEAM_ASSIGNMENTS,
+  isTeamGame,
+  clampTeamCount,
+  isTeam,
+  syncTeams,
+  resetTeamScores,
+  addTeamPoints,
+  canGuessNow,
+  rankTeams,
+} = require("./lib/teams")
+const {
+  startRecording,
+  recordEvent,
+  buildTurnRecording,
+  renderSvg,
+  createRecordingArchive,
+} = require("./lib/recordings")
+const {
+  MAX_ROOM_NAME_LENGTH,
+  createWordFilterFromEnv,
+  sanitizeName,
+  sanitizeCustomWords,
+  createFloodControl,
+  resolveClientId,
+  addBan,
+  isBanned,
+} = require("./lib/moderation")
+const {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  isKnownEvent,
+  isRoomId,
+  isQuiet,
+  validatePayload,
+  checkPhase,
+  createReply,
+  negotiateProtocol,
+} = require("./lib/protocol")
+const { createMetrics, createTickProbe } = require("./lib/metrics")
+const { requireAdminToken, describeRoom } = require("./lib/admin")
+
+// How long a disconnected player's slot is held before they are removed
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000
+
+// How many finished games' words a room avoids when dealing a new game
+const WORD_MEMORY_GAMES = Number(process.env.WORD_MEMORY_GAMES) || 3
+
+const DEFAULT_WORD_CHOICE_TIME = 15
+const WORD_CHOICE_COUNT = 3
+const DEFAULT_HINTS = 2
+const DEFAULT_LANGUAGE = "en"
+
+// Socket.IO room that lobby browsers join for live public room updates
+const LOBBY_CHANNEL = "lobby"
+
+// Quick play opens a new room once this many compatible players are queued
+const QUICK_PLAY_MIN_PLAYERS = Number(process.env.QUICK_PLAY_MIN_PLAYERS) || 2
+const QUICK_PLAY_ROOM = { maxPlayers: 8, rounds: 3, drawTime: 80 }
+const QUICK_PLAY_INTERVAL_MS = 2000
+// Entering a room any of these ways ends a socket's wait for quick play
+const ROOM_ENTRY_EVENTS = ["create-room", "join-room", "join-as-spectator", "rejoin-room"]
+
+const MAX_SPECTATORS = 20
+
+// How long a kicked player is kept out of the room
+const KICK_BAN_MS = 5 * 60 * 1000
+
+// How long finished turns stay available for replay and export
+const RECORDING_RETENTION_MS = (Number(process.env.RECORDING_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+const RECORDING_PRUNE_MS = 10 * 60 * 1000
+// How often each node sends server-stats to its clients
+const STATS_INTERVAL_MS = Number(process.env.STATS_INTERVAL_MS) || 30000
+
+// How long an admin request waits for the node that owns the room
+const ADMIN_ACTION_TIMEOUT_MS = 5000
+const MAX_ANNOUNCEMENT_LENGTH = 500
+const DRAWING_RATE_LIMIT = { capacity: 120, refillPerSecond: 60 }
+const TURN_REVEAL_MS = 2000
+
+// Rooms are owned by whichever node holds their lease; owners renew well
+// before it runs out so a dead node is noticed within LEASE_TTL_MS
+const LEASE_TTL_MS = 15000
+const LEASE_RENEW_MS = 5000
+
+// Room interface structure. Team settings are applied afterwards with
+// applyTeamSettings.
+const createRoom = (id, {
+  name,
+  maxPlayers,
+  isPrivate,
+  password,
+  customWords,
+  rounds,
+  drawTime,
+  categories = [],
+  difficulty = "mixed",
+  wordChoiceTime = DEFAULT_WORD_CHOICE_TIME,
+  hints = DEFAULT_HINTS,
+  scoring = resolveScoring(),
+  wordPacks = [DEFAULT_PACK_ID],
+  language = DEFAULT_LANGUAGE,
+  ignoreAccents = true,
+}) => ({
   id,
   name,
   maxPlayers,
@@ -38,695 +156,2851 @@ const createRoom = (id, name, maxPlayers, isPrivate, password, customWords, roun
   drawTime,
   categories,
   difficulty,
+  wordPacks,
+  language,
+  ignoreAccents,
+  wordChoiceTime,
+  hints,
+  scoring,
   players: [],
+  spectators: [],
+  bans: [],
+  kickVotes: {},
   currentRound: 0,
+  turn: 0,
+  drawQueue: [],
   currentDrawer: null,
   currentWord: null,
+  wordChoices: [],
+  revealedIndices: [],
+  turnGuesses: [],
+  turnSummaries: [],
+  gameId: null,
+  recording: null,
   gameState: "waiting",
   gamePhase: "waiting",
+  paused: null,
   currentWordCategory: "",
   currentWordIsCustom: false,
   timeLeft: 0,
+  phaseEndsAt: null,
+  createdAt: Date.now(),
   scores: {},
+  mode: "classic",
+  teamCount: 2,
+  teamAssignment: "auto",
+  teammateWindow: 0,
+  teamScores: [],
   usedWords: [],
+  wordDeck: createDeck(),
+  recentWords: [],
   drawingData: [],
+  activeStroke: null,
+  redoStack: [],
+  nextStrokeId: 1,
 })
 
-const createPlayer = (id, name, avatar) => ({
+const createPlayer = (id, name, avatar, profileId = null, clientId = null) => ({
   id,
   name,
   avatar,
+  profileId,
+  clientId,
+  team: null,
   score: 0,
   isHost: false,
   isDrawing: false,
   socketId: id,
   hasGuessed: false,
+  isConnected: true,
+  sessionToken: randomUUID(),
+})
+
+// Spectators watch without playing: no score, no turn and no word
+const createSpectator = (id, name, avatar, profileId = null, clientId = null) => ({
+  id,
+  name,
+  avatar,
+  profileId,
+  clientId,
+  socketId: id,
 })
 
 // Utility functions
 const generateRoomId = () => Math.random().toString(36).substring(2, 8).toUpperCase()
 
-const getRandomWord = (customWords, categories = [], difficulty = "mixed") => {
-  const wordsByCategory = {
-    Animals: ["cat", "dog", "elephant", "tiger", "lion", "bird", "fish", "horse", "rabbit", "bear"],
-    Objects: ["chair", "table", "car", "house", "phone", "book", "computer", "pen", "clock", "lamp"],
-    Food: ["pizza", "burger", "apple", "banana", "cake", "bread", "ice cream", "pasta", "chicken", "salad"],
-    Nature: ["tree", "flower", "mountain", "river", "sun", "moon", "star", "cloud", "rain", "snow"],
-    Actions: ["running", "jumping", "swimming", "dancing", "singing", "reading", "writing", "cooking", "sleeping", "laughing"],
-    Abstract: ["love", "happiness", "freedom", "peace", "hope", "dream", "fear", "anger", "joy", "wisdom"]
+// Used when a room's packs and custom words leave nothing to pick from
+const FALLBACK_WORDS = ["cat", "dog", "house", "tree", "car", "sun", "moon", "star", "fish", "bird"]
+
+// The room's custom words plus every pack word in its language and one of its
+// categories at the given difficulty. A tier with no matches falls back to the categories
+// alone, so a pack without hard words can still fill a mixed room.
+const getWordPool = (room, wordPacks, difficulty) => {
+  const filters = { categories: room.categories, language: room.language }
+  let entries = wordPacks.selectWords(room.wordPacks, { ...filters, difficulty })
+  if (entries.length === 0) {
+    entries = wordPacks.selectWords(room.wordPacks, filters)
+  }
+
+  const words = [...(room.customWords || []), ...entries.map((entry) => entry.word)]
+  return [...new Set(words.length > 0 ? words : FALLBACK_WORDS)]
+}
+
+// One candidate per difficulty tier when the room is mixed, otherwise all
+// from the room's own tier. Candidates are dealt from the room's deck, so
+// nothing repeats until a pool runs out, and words from the last few games
+// are held back while there are others to offer.
+const getWordChoices = (room, wordPacks) => {
+  const tiers = room.difficulty === "mixed"
+    ? ["easy", "medium", "hard"]
+    : Array(WORD_CHOICE_COUNT).fill(room.difficulty)
+
+  const avoid = room.recentWords.flat()
+  const choices = []
+  tiers.forEach((tier) => {
+    const word = dealWord(room.wordDeck, getWordPool(room, wordPacks, tier), { taken: choices, avoid })
+    if (word) {
+      choices.push(word)
+    }
+  })
+  return choices
+}
+
+// Timers count down to a stored deadline so they can be resumed after a restart
+const secondsUntil = (deadline) => Math.max(0, Math.round((deadline - Date.now()) / 1000))
+
+// Builds one game server node. A single server runs on its own in-process
+// cluster; several nodes in one process given the same cluster share rooms
+// between them.
+const createGameServer = ({
+  cluster = createLocalCluster({ storage: createStorage() }),
+  nodeId = randomUUID(),
+  profiles = createProfileStore({ file: process.env.PROFILES_FILE || path.join(__dirname, "data", "profiles.json") }),
+  recordings = createRecordingArchive({ dir: process.env.RECORDINGS_DIR || null, retentionMs: RECORDING_RETENTION_MS }),
+  wordPacks = createWordPackRegistry({
+    builtInDir: path.join(__dirname, "packs"),
+    uploadDir: process.env.WORD_PACKS_DIR || path.join(__dirname, "data", "packs"),
+  }),
+  moderation = createWordFilterFromEnv(),
+  adminToken = process.env.ADMIN_TOKEN || null,
+} = {}) => {
+  const app = express()
+  const httpServer = createServer(app)
+  const io = new Server(httpServer, {
+    cors: {
+      origin: [
+        "https://brush-rush.vercel.app",
+        "http://localhost:3000",
+        /\.vercel\.app$/, // Allow all Vercel preview deployments
+      ],
+      methods: ["GET", "POST"],
+      credentials: true,
+    },
+    transports: ["websocket", "polling"],
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    connectTimeout: 45000,
+    adapter: cluster.adapter,
+  })
+
+  // Game state management
+  const rooms = new Map()
+  const playerRooms = new Map()
+  const roomTimers = new Map()
+  const reconnectTimers = new Map()
+  const persistence = createPersistence(cluster.storage)
+
+  // Last listing pushed to the lobby for each public room this node owns
+  const lobbyListings = new Map()
+
+  // Metrics cover this node only; Prometheus scrapes every node
+  const metrics = createMetrics({ prefix: "brushrush_" })
+  const eventCounter = metrics.counter("events_total", "Client events received, by event")
+  const guessLatency = metrics.histogram(
+    "guess_latency_seconds",
+    "Time from the start of drawing to each correct guess",
+    [1, 2, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300]
+  )
+  const timerDrift = metrics.histogram(
+    "timer_drift_seconds",
+    "How late each room timer tick fires",
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+  )
+  // Per-event rates over the last stats interval, kept up by publishStats
+  let eventRates = []
+  let lastEventCounts = new Map()
+  let lastStatsAt = Date.now()
+
+  metrics.gauge("rooms", "Rooms on this node, by game state", () =>
+    ["waiting", "playing", "finished"].map((state) => ({
+      labels: { state },
+      value: Array.from(rooms.values()).filter((room) => room.gameState === state).length,
+    }))
+  )
+  metrics.gauge("players", "Players in rooms on this node, by connection", () => {
+    const players = Array.from(rooms.values()).flatMap((room) => room.players)
+    return [
+      { labels: { connected: "true" }, value: players.filter((p) => p.isConnected).length },
+      { labels: { connected: "false" }, value: players.filter((p) => !p.isConnected).length },
+    ]
+  })
+  metrics.gauge("spectators", "Spectators in rooms on this node", () =>
+    Array.from(rooms.values()).reduce((sum, room) => sum + room.spectators.length, 0)
+  )
+  metrics.gauge("active_games", "Games being played on this node", () =>
+    Array.from(rooms.values()).filter((room) => room.gameState === "playing").length
+  )
+  metrics.gauge("connections", "Sockets connected to this node", () => io.engine.clientsCount)
+  metrics.gauge("quick_play_queue", "Players waiting for quick play on this node", () => quickPlayQueue.entries().length)
+  metrics.gauge("events_per_second", "Client events per second over the last stats interval, by event", () => eventRates)
+  metrics.gauge("uptime_seconds", "Seconds since this node started", () => Math.round(process.uptime()))
+
+  // Tells lobby subscribers when a public room appears, changes or goes away.
+  // Only listing fields are compared, so timer ticks don't cause pushes.
+  const publishListing = (roomId) => {
+    const room = rooms.get(roomId)
+    const previous = lobbyListings.get(roomId)
+
+    if (!isListed(room)) {
+      if (previous) {
+        lobbyListings.delete(roomId)
+        io.to(LOBBY_CHANNEL).emit("public-room-removed", { roomId })
+      }
+      return
+    }
+
+    const listing = summarizeRoom(room)
+    const serialized = JSON.stringify(listing)
+    if (serialized === previous) return
+
+    lobbyListings.set(roomId, serialized)
+    io.to(LOBBY_CHANNEL).emit(previous ? "public-room-updated" : "public-room-added", { room: listing })
   }
 
-  const difficultyWords = {
-    easy: ["cat", "dog", "sun", "car", "house", "tree", "book", "ball", "fish", "bird"],
-    medium: ["elephant", "computer", "mountain", "happiness", "dancing", "cooking", "flower", "river", "clock", "phone"],
-    hard: ["philosophy", "democracy", "ecosystem", "architecture", "psychology", "phenomenon", "inevitable", "consciousness", "metaphor", "transcendence"]
+  const persistRoom = (roomId) => {
+    const room = rooms.get(roomId)
+    if (room) persistence.save(room)
+    publishListing(roomId)
   }
 
-  let wordList = []
+  // Sends every player and spectator in the room their own view of it.
+  // buildPayload receives the serialized room and the recipient and returns
+  // the event payload.
+  const emitRoomView = (roomId, event, buildPayload = (view) => ({ room: view })) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-  if (customWords && customWords.length > 0) {
-    wordList = [...customWords]
+    ;[...room.players, ...room.spectators].forEach((member) => {
+      io.to(member.socketId).emit(event, buildPayload(serializeRoom(room, member.id), member))
+    })
   }
 
-  if (categories && categories.length > 0) {
-    categories.forEach(category => {
-      if (wordsByCategory[category]) {
-        wordList = [...wordList, ...wordsByCategory[category]]
+  const startRoundTimer = (roomId, endsAt = null) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+    }
+
+    room.phaseEndsAt = endsAt ?? Date.now() + room.drawTime * 1000
+    room.timeLeft = secondsUntil(room.phaseEndsAt)
+    room.gamePhase = "drawing"
+    persistRoom(roomId)
+
+    const probe = createTickProbe(timerDrift, 1000)
+    const timer = setInterval(() => {
+      probe()
+      room.timeLeft = secondsUntil(room.phaseEndsAt)
+      io.to(roomId).emit("timer-update", { timeLeft: room.timeLeft, phase: "drawing" })
+
+      if (revealDueHints(room)) {
+        const hint = maskWord(room.currentWord, room.revealedIndices)
+        ;[...room.players.filter((player) => !player.isDrawing && !player.hasGuessed), ...room.spectators]
+          .forEach((member) => {
+            io.to(member.socketId).emit("hint-update", { hint, hintsRevealed: room.revealedIndices.length })
+          })
+        persistRoom(roomId)
+      }
+
+      if (room.timeLeft <= 0) {
+        clearInterval(timer)
+        roomTimers.delete(roomId)
+        endTurn(roomId)
       }
-    })
+    }, 1000)
+
+    roomTimers.set(roomId, timer)
   }
 
-  if (difficulty === "mixed") {
-    Object.values(difficultyWords).forEach(words => {
-      wordList = [...wordList, ...words]
+  const finishGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    room.gameState = "finished"
+    room.gamePhase = "waiting"
+    room.paused = null
+    room.phaseEndsAt = null
+    persistRoom(roomId)
+
+    const leaderboard = rankPlayers(room.players)
+    const teams = isTeamGame(room) ? rankTeams(room) : undefined
+    const gallery = recordings.gallery(room.gameId)
+    emitRoomView(roomId, "game-finished", (view) => ({
+      room: view,
+      leaderboard,
+      teams,
+      gameId: room.gameId,
+      gallery,
+    }))
+
+    profiles.recordGame(buildGameResults(room, leaderboard)).catch((error) => {
+      console.error(`[Server] Failed to record stats for room ${roomId}:`, error)
     })
-  } else if (difficultyWords[difficulty]) {
-    wordList = [...wordList, ...difficultyWords[difficulty]]
   }
 
-  if (wordList.length === 0) {
-    wordList = ["cat", "dog", "house", "tree", "car", "sun", "moon", "star", "fish", "bird"]
+  // Awards the drawer and builds the per-turn breakdown sent with round-ended
+  const settleTurn = (room) => {
+    const drawer = room.players.includes(room.currentDrawer) ? room.currentDrawer : null
+    const eligibleCount = Math.max(
+      room.turnGuesses.length,
+      room.players.filter((p) => p !== drawer && p.isConnected).length
+    )
+    const drawerPoints = drawer && room.currentWord
+      ? scoreDrawer(room.scoring, room.turnGuesses.length, eligibleCount)
+      : 0
+
+    if (drawer) {
+      drawer.score += drawerPoints
+      room.scores[drawer.id] = (room.scores[drawer.id] || 0) + drawerPoints
+      addTeamPoints(room, drawer, drawerPoints)
+    }
+
+    const summary = {
+      word: room.currentWord,
+      drawer: drawer ? { id: drawer.id, profileId: drawer.profileId, name: drawer.name, points: drawerPoints } : null,
+      guesses: room.turnGuesses,
+    }
+    room.turnSummaries.push(summary)
+    return summary
   }
 
-  wordList = [...new Set(wordList)]
-  return wordList[Math.floor(Math.random() * wordList.length)]
-}
+  // A turn ends once; after that the room is revealing or already finished
+  const endTurn = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room || !["choosing", "drawing", "paused"].includes(room.gamePhase)) return
+
+    const summary = settleTurn(room)
+    room.gamePhase = "revealing"
+    room.paused = null
+
+    let recordingId = null
+    if (room.recording && room.currentWord) {
+      const recording = buildTurnRecording(room, summary)
+      recordingId = recording.id
+      recordings.save(recording).catch((error) => {
+        console.error(`[Server] Failed to archive turn in room ${roomId}:`, error)
+      })
+    }
+    room.recording = null
+
+    emitRoomView(roomId, "round-ended", (view) => ({
+      room: view,
+      word: room.currentWord,
+      summary,
+      recordingId,
+      ...getTurnInfo(room),
+    }))
+
+    room.players.forEach((player) => {
+      player.isDrawing = false
+      player.hasGuessed = false
+    })
 
-const startRoundTimer = (roomId) => {
-  const room = rooms.get(roomId)
-  if (!room) return
+    if (!hasNextDrawer(room) && room.currentRound >= room.rounds) {
+      finishGame(roomId)
+    } else {
+      room.phaseEndsAt = Date.now() + TURN_REVEAL_MS
+      persistRoom(roomId)
+      scheduleNextTurn(roomId, TURN_REVEAL_MS)
+    }
+  }
 
-  if (roomTimers.has(roomId)) {
-    clearInterval(roomTimers.get(roomId))
+  // The reveal pause is kept with the room's timers, so ending or resetting
+  // the game cancels it along with them
+  const scheduleNextTurn = (roomId, delayMs) => {
+    const timer = setTimeout(() => {
+      roomTimers.delete(roomId)
+      startNextTurn(roomId)
+    }, delayMs)
+    roomTimers.set(roomId, timer)
   }
 
-  room.timeLeft = room.drawTime
-  room.gamePhase = "drawing"
+  const startNextTurn = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room || room.gameState !== "playing") return
 
-  const timer = setInterval(() => {
-    room.timeLeft--
-    io.to(roomId).emit("timer-update", { timeLeft: room.timeLeft })
+    room.players.forEach((player) => {
+      player.hasGuessed = false
+      player.isDrawing = false
+    })
 
-    if (room.timeLeft <= 0) {
-      clearInterval(timer)
-      roomTimers.delete(roomId)
-      endRound(roomId)
+    let drawer = takeNextDrawer(room)
+    if (!drawer && room.currentRound < room.rounds) {
+      room.currentRound++
+      room.turn = 0
+      room.drawQueue = buildDrawQueue(room)
+      drawer = takeNextDrawer(room)
     }
-  }, 1000)
 
-  roomTimers.set(roomId, timer)
-}
+    if (!drawer) {
+      finishGame(roomId)
+      return
+    }
 
-const endRound = (roomId) => {
-  const room = rooms.get(roomId)
-  if (!room) return
+    room.turn++
+    room.currentDrawer = drawer
+    room.currentDrawer.isDrawing = true
 
-  io.to(roomId).emit("round-ended", { 
-    room, 
-    word: room.currentWord 
-  })
+    room.currentWord = null
+    room.wordChoices = getWordChoices(room, wordPacks)
+    resetCanvas(room)
+    room.gamePhase = "choosing"
 
-  room.players.forEach((player) => {
-    player.isDrawing = false
-    player.hasGuessed = false
-  })
+    emitRoomView(roomId, "word-choosing", (view, recipient) => ({
+      room: view,
+      drawer: view.currentDrawer,
+      words: recipient.isDrawing ? room.wordChoices : undefined,
+      timeLeft: room.wordChoiceTime,
+      ...getTurnInfo(room),
+    }))
 
-  room.currentRound++
+    startChoosingTimer(roomId)
+  }
 
-  if (room.currentRound > room.rounds) {
-    room.gameState = "finished"
-    room.gamePhase = "waiting"
-    io.to(roomId).emit("game-finished", { room })
-  } else {
-    setTimeout(() => {
-      startNextRound(roomId)
-    }, 2000)
+  const startChoosingTimer = (roomId, endsAt = null) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+    }
+
+    room.phaseEndsAt = endsAt ?? Date.now() + room.wordChoiceTime * 1000
+    room.timeLeft = secondsUntil(room.phaseEndsAt)
+    room.gamePhase = "choosing"
+    persistRoom(roomId)
+
+    const probe = createTickProbe(timerDrift, 1000)
+    const timer = setInterval(() => {
+      probe()
+      room.timeLeft = secondsUntil(room.phaseEndsAt)
+      io.to(roomId).emit("timer-update", { timeLeft: room.timeLeft, phase: "choosing" })
+
+      if (room.timeLeft <= 0) {
+        clearInterval(timer)
+        roomTimers.delete(roomId)
+        const word = room.wordChoices[Math.floor(Math.random() * room.wordChoices.length)]
+        console.log(`[Server] Auto-picked a word for ${room.currentDrawer?.name} in room ${roomId}`)
+        beginDrawing(roomId, word)
+      }
+    }, 1000)
+
+    roomTimers.set(roomId, timer)
   }
-}
 
-const startNextRound = (roomId) => {
-  const room = rooms.get(roomId)
-  if (!room) return
+  const beginDrawing = (roomId, word) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-  room.players.forEach((player) => {
-    player.hasGuessed = false
-    player.isDrawing = false
-  })
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+      roomTimers.delete(roomId)
+    }
+
+    room.currentWord = word
+    room.wordChoices = []
+    room.revealedIndices = []
+    room.turnGuesses = []
+    room.usedWords.push(room.currentWord)
+    room.currentWordIsCustom = !!room.customWords && room.customWords.includes(room.currentWord)
+    room.currentWordCategory = room.currentWordIsCustom
+      ? "Custom"
+      : wordPacks.findWord(room.wordPacks, room.currentWord)?.category || "Default"
+
+    resetCanvas(room)
+    startRecording(room)
+    room.gamePhase = "drawing"
+
+    emitRoomView(roomId, "round-started", (view) => ({
+      room: view,
+      word: view.currentWord,
+      hint: view.wordHint,
+      drawer: view.currentDrawer,
+      ...getTurnInfo(room),
+    }))
+
+    startRoundTimer(roomId)
+  }
 
-  const currentDrawerIndex = room.players.findIndex((p) => p.id === room.currentDrawer?.id)
-  const nextDrawerIndex = (currentDrawerIndex + 1) % room.players.length
-  room.currentDrawer = room.players[nextDrawerIndex]
-  room.currentDrawer.isDrawing = true
+  const resetGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-  room.currentWord = getRandomWord(room.customWords, room.categories, room.difficulty)
-  room.usedWords.push(room.currentWord)
-  room.currentWordCategory = room.customWords && room.customWords.includes(room.currentWord) ? "Custom" : "Default"
-  room.currentWordIsCustom = room.customWords && room.customWords.includes(room.currentWord)
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+      roomTimers.delete(roomId)
+    }
 
-  room.drawingData = []
+    room.gameState = "waiting"
+    room.gamePhase = "waiting"
+    room.paused = null
+    room.currentRound = 0
+    room.turn = 0
+    room.drawQueue = []
+    room.currentDrawer = null
+    room.currentWord = null
+    room.wordChoices = []
+    room.revealedIndices = []
+    room.turnGuesses = []
+    room.turnSummaries = []
+    room.currentWordCategory = ""
+    room.currentWordIsCustom = false
+    room.timeLeft = 0
+    room.phaseEndsAt = null
+    if (room.usedWords.length > 0) {
+      room.recentWords = [...room.recentWords, room.usedWords].slice(-WORD_MEMORY_GAMES)
+    }
+    room.usedWords = []
+    room.recording = null
+    room.wordDeck = createDeck()
+    resetTeamScores(room)
+    resetCanvas(room)
+
+    room.players.forEach((player) => {
+      player.score = 0
+      player.isDrawing = false
+      player.hasGuessed = false
+      room.scores[player.id] = 0
+    })
 
-  io.to(roomId).emit("round-started", {
-    room,
-    word: room.currentWord,
-    drawer: room.currentDrawer,
-  })
+    persistRoom(roomId)
+    return room
+  }
 
-  startRoundTimer(roomId)
-}
+  // The host's view of the room differs from everyone else's, so the new
+  // and previous host both need a fresh one
+  const emitHostChanged = (roomId, previousHost) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    const host = room.players.find((p) => p.isHost)
+    emitRoomView(roomId, "host-changed", (view) => ({
+      room: view,
+      host: serializePlayer(host),
+      previousHost: serializePlayer(previousHost),
+    }))
+  }
 
-const resetGame = (roomId) => {
-  const room = rooms.get(roomId)
-  if (!room) return
-
-  if (roomTimers.has(roomId)) {
-    clearInterval(roomTimers.get(roomId))
-    roomTimers.delete(roomId)
-  }
-
-  room.gameState = "waiting"
-  room.gamePhase = "waiting"
-  room.currentRound = 0
-  room.currentDrawer = null
-  room.currentWord = null
-  room.currentWordCategory = ""
-  room.currentWordIsCustom = false
-  room.timeLeft = 0
-  room.usedWords = []
-  room.drawingData = []
-
-  room.players.forEach((player) => {
-    player.score = 0
-    player.isDrawing = false
-    player.hasGuessed = false
-    room.scores[player.id] = 0
-  })
+  // Freezes the turn timer. The time that was left is kept so resuming
+  // picks up where the turn stopped.
+  const pauseGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-  return room
-}
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+      roomTimers.delete(roomId)
+    }
 
-// Helper function to remove player from room
-const removePlayerFromRoom = (socket, roomId, playerName = null) => {
-  const room = rooms.get(roomId)
-  if (!room) return
+    room.paused = { phase: room.gamePhase, remainingMs: Math.max(0, room.phaseEndsAt - Date.now()) }
+    room.gamePhase = "paused"
+    room.timeLeft = Math.ceil(room.paused.remainingMs / 1000)
+    room.phaseEndsAt = null
+    persistRoom(roomId)
+
+    emitRoomView(roomId, "game-paused")
+  }
 
-  const player = room.players.find((p) => p.id === socket.id)
-  if (!player) return
+  const resumeGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room?.paused) return
 
-  const displayName = playerName || player.name
+    const { phase, remainingMs } = room.paused
+    room.paused = null
+    if (phase === "choosing") {
+      startChoosingTimer(roomId, Date.now() + remainingMs)
+    } else {
+      startRoundTimer(roomId, Date.now() + remainingMs)
+    }
 
-  room.players = room.players.filter((p) => p.id !== socket.id)
-  delete room.scores[socket.id]
-  playerRooms.delete(socket.id)
+    emitRoomView(roomId, "game-resumed")
+  }
 
-  console.log(`[Server] Player ${displayName} removed from room ${roomId}. Remaining players: ${room.players.length}`)
+  // Ends the game where it stands: the turn in progress isn't scored
+  const endGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-  if (room.players.length === 0) {
     if (roomTimers.has(roomId)) {
       clearInterval(roomTimers.get(roomId))
       roomTimers.delete(roomId)
     }
-    rooms.delete(roomId)
-    console.log(`[Server] Room ${roomId} deleted (empty)`)
-  } else {
-    if (player.isHost && room.players.length > 0) {
-      room.players[0].isHost = true
-      console.log(`[Server] Host transferred to ${room.players[0].name} in room ${roomId}`)
+
+    room.players.forEach((player) => {
+      player.isDrawing = false
+      player.hasGuessed = false
+    })
+    room.recording = null
+
+    finishGame(roomId)
+  }
+
+  // Helper function to remove player from room
+  const removePlayerFromRoom = (roomId, playerId, playerName = null) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    const player = room.players.find((p) => p.id === playerId)
+    if (!player) return
+
+    const displayName = playerName || player.name
+
+    if (reconnectTimers.has(player.sessionToken)) {
+      clearTimeout(reconnectTimers.get(player.sessionToken))
+      reconnectTimers.delete(player.sessionToken)
     }
 
-    if (player.isDrawing && room.gameState === "playing") {
+    room.players = room.players.filter((p) => p.id !== playerId)
+    room.drawQueue = room.drawQueue.filter((id) => id !== playerId)
+    delete room.scores[playerId]
+    delete room.kickVotes[player.sessionToken]
+    playerRooms.delete(playerId)
+
+    console.log(`[Server] Player ${displayName} removed from room ${roomId}. Remaining players: ${room.players.length}`)
+
+    if (room.players.length === 0) {
       if (roomTimers.has(roomId)) {
         clearInterval(roomTimers.get(roomId))
         roomTimers.delete(roomId)
       }
-      endRound(roomId)
+      if (room.spectators.length > 0) {
+        room.spectators.forEach((spectator) => playerRooms.delete(spectator.id))
+        io.to(roomId).except(player.socketId).emit("room-closed", { roomId })
+        io.in(roomId).except(player.socketId).socketsLeave(roomId)
+      }
+      rooms.delete(roomId)
+      persistence.remove(roomId)
+      publishListing(roomId)
+      cluster.leases.release(roomId, nodeId)
+      console.log(`[Server] Room ${roomId} deleted (empty)`)
+    } else {
+      if (player.isHost && room.players.length > 0) {
+        room.players[0].isHost = true
+        emitHostChanged(roomId, player)
+        console.log(`[Server] Host transferred to ${room.players[0].name} in room ${roomId}`)
+      }
+
+      if (player.isDrawing && room.gameState === "playing") {
+        if (roomTimers.has(roomId)) {
+          clearInterval(roomTimers.get(roomId))
+          roomTimers.delete(roomId)
+        }
+        endTurn(roomId)
+      }
+
+      persistRoom(roomId)
+      io.to(roomId).except(player.socketId).emit("player-left", {
+        player: serializePlayer(player),
+        players: serializePlayers(room.players),
+      })
     }
 
-    socket.to(roomId).emit("player-left", {
-      player,
-      players: room.players,
+    return player
+  }
+
+  const removeSpectator = (roomId, spectatorId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
+
+    const spectator = room.spectators.find((s) => s.id === spectatorId)
+    if (!spectator) return
+
+    room.spectators = room.spectators.filter((s) => s.id !== spectatorId)
+    playerRooms.delete(spectatorId)
+    persistRoom(roomId)
+
+    io.to(roomId).except(spectator.socketId).emit("spectator-left", {
+      spectator: serializeSpectator(spectator),
+      spectators: serializeSpectators(room.spectators),
     })
+    return spectator
   }
 
-  return player
-}
+  // Removes a player and keeps them out: they are banned for banMs (for as
+  // long as the room exists when null), their turn ends if they were
+  // drawing, and their socket leaves the room so they stop getting its events
+  const kickPlayer = (roomId, player, { reason, banMs = null }) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-io.on("connection", (socket) => {
-  console.log("Player connected:", socket.id)
+    addBan(room, player, banMs)
+    removePlayerFromRoom(roomId, player.id)
+    io.to(player.socketId).emit("kicked", { roomId, reason })
+    io.in(player.socketId).socketsLeave(roomId)
+    emitRoomView(roomId, "room-updated")
 
-  socket.on("create-room", ({ roomData, player }) => {
-    try {
-      let roomId = generateRoomId()
-      while (rooms.has(roomId)) {
-        roomId = generateRoomId()
-      }
-
-      console.log(`[Server] Creating room ${roomId} with data:`, roomData)
-
-      const room = createRoom(
-        roomId,
-        roomData.name,
-        roomData.maxPlayers,
-        roomData.isPrivate,
-        roomData.password,
-        roomData.customWords,
-        roomData.rounds,
-        roomData.drawTime,
-        roomData.categories || ["Animals", "Objects", "Food", "Nature"],
-        roomData.difficulty || "mixed"
-      )
-
-      const newPlayer = createPlayer(socket.id, player.name, player.avatar)
-      newPlayer.isHost = true
-      room.players.push(newPlayer)
-      room.scores[socket.id] = 0
-
-      rooms.set(roomId, room)
-      playerRooms.set(socket.id, roomId)
-      socket.join(roomId)
-
-      console.log(`[Server] Room ${roomId} created by ${player.name}`)
-      
-      // Add a small delay before emitting to ensure everything is set up
-      setTimeout(() => {
-        socket.emit("room-created", { roomId, room })
-      }, 100)
-    } catch (error) {
-      console.error("Create room error:", error)
-      socket.emit("error", { message: "Failed to create room: " + error.message })
-    }
-  })
+    console.log(`[Server] ${player.name} was removed from room ${roomId} (${reason})`)
+  }
 
-  socket.on("update-room", (roomData) => {
-    try {
-      console.log(`[Server] Update room request for ${roomData.roomId}:`, roomData)
-      const room = rooms.get(roomData.roomId)
+  // Holds a dropped player's slot for the grace window instead of removing them
+  const holdPlayerSlot = (roomId, player) => {
+    player.isConnected = false
 
-      if (!room) {
-        socket.emit("error", { message: "Room not found" })
-        return
-      }
+    const timer = setTimeout(() => {
+      reconnectTimers.delete(player.sessionToken)
+      console.log(`[Server] Player ${player.name} did not reconnect to room ${roomId}`)
+      removePlayerFromRoom(roomId, player.id)
+    }, RECONNECT_GRACE_MS)
 
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player?.isHost) {
-        socket.emit("error", { message: "Only the host can update room settings" })
-        return
-      }
+    reconnectTimers.set(player.sessionToken, timer)
+    persistRoom(roomId)
 
-      if (roomData.isPrivate !== undefined) room.isPrivate = roomData.isPrivate
-      if (roomData.password !== undefined) room.password = roomData.password
-      if (roomData.maxPlayers !== undefined) room.maxPlayers = roomData.maxPlayers
-      if (roomData.rounds !== undefined) room.rounds = roomData.rounds
-      if (roomData.drawTime !== undefined) room.drawTime = roomData.drawTime
-      if (roomData.customWords !== undefined) room.customWords = roomData.customWords
-      if (roomData.categories !== undefined) room.categories = roomData.categories
-      if (roomData.difficulty !== undefined) room.difficulty = roomData.difficulty
+    io.to(roomId).emit("player-reconnecting", {
+      player: serializePlayer(player),
+      graceMs: RECONNECT_GRACE_MS,
+    })
+  }
 
-      console.log(`[Server] Room ${roomData.roomId} settings updated`)
-      io.to(roomData.roomId).emit("room-updated", { room })
-    } catch (error) {
-      console.error("Update room error:", error)
-      socket.emit("error", { message: "Failed to update room: " + error.message })
+  // Moves a held player over to their new socket
+  const rebindPlayer = (room, player, socket) => {
+    const previousId = player.id
+
+    if (reconnectTimers.has(player.sessionToken)) {
+      clearTimeout(reconnectTimers.get(player.sessionToken))
+      reconnectTimers.delete(player.sessionToken)
     }
-  })
 
-  socket.on("restart-game", ({ roomId, roomData }) => {
-    try {
-      console.log(`[Server] Restart game request for ${roomId}:`, roomData)
-      const room = rooms.get(roomId)
+    room.scores[socket.id] = room.scores[previousId] ?? player.score
+    delete room.scores[previousId]
+    playerRooms.delete(previousId)
+    playerRooms.set(socket.id, room.id)
+    room.drawQueue = room.drawQueue.map((id) => (id === previousId ? socket.id : id))
+
+    player.id = socket.id
+    player.socketId = socket.id
+    player.clientId = socket.clientId
+    player.isConnected = true
+    persistRoom(room.id)
+  }
 
-      if (!room) {
-        socket.emit("error", { message: "Room not found" })
-        return
-      }
+  // Every room in the cluster: stored state, with this node's live rooms on top
+  const listRooms = async () => {
+    const all = new Map((await persistence.load()).map((room) => [room.id, room]))
+    rooms.forEach((room, roomId) => all.set(roomId, room))
+    return Array.from(all.values())
+  }
 
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player?.isHost) {
-        socket.emit("error", { message: "Only the host can restart the game" })
-        return
-      }
+  // Each node publishes once per interval: it updates the event rates and
+  // sends cluster-wide totals to its own clients
+  const publishStats = async () => {
+    const now = Date.now()
+    const seconds = Math.max(1, now - lastStatsAt) / 1000
+    const counts = eventCounter.samples()
+    eventRates = counts.map(({ labels, value }) => ({
+      labels,
+      value: Math.round(((value - (lastEventCounts.get(labels.event) || 0)) / seconds) * 100) / 100,
+    }))
+    lastEventCounts = new Map(counts.map(({ labels, value }) => [labels.event, value]))
+    lastStatsAt = now
+
+    const all = await listRooms()
+    io.local.emit("server-stats", {
+      totalRooms: all.length,
+      totalPlayers: all.reduce((sum, room) => sum + room.players.length, 0),
+      activeGames: all.filter((room) => room.gameState === "playing").length,
+    })
+  }
 
-      if (roomData) {
-        if (roomData.isPrivate !== undefined) room.isPrivate = roomData.isPrivate
-        if (roomData.password !== undefined) room.password = roomData.password
-        if (roomData.maxPlayers !== undefined) room.maxPlayers = roomData.maxPlayers
-        if (roomData.rounds !== undefined) room.rounds = roomData.rounds
-        if (roomData.drawTime !== undefined) room.drawTime = roomData.drawTime
-        if (roomData.customWords !== undefined) room.customWords = roomData.customWords
-        if (roomData.categories !== undefined) room.categories = roomData.categories
-        if (roomData.difficulty !== undefined) room.difficulty = roomData.difficulty
-      }
+  const claimRoom = (roomId) => cluster.leases.acquire(roomId, nodeId, LEASE_TTL_MS)
 
-      resetGame(roomId)
+  // Stops managing a room without deleting it; used when another node took it over
+  const dropRoom = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-      console.log(`[Server] Game restarted in room ${roomId}`)
-      io.to(roomId).emit("game-restarted", { room })
-    } catch (error) {
-      console.error("Restart game error:", error)
-      socket.emit("error", { message: "Failed to restart game: " + error.message })
+    if (roomTimers.has(roomId)) {
+      clearInterval(roomTimers.get(roomId))
+      roomTimers.delete(roomId)
     }
-  })
+    room.players.forEach((player) => {
+      clearTimeout(reconnectTimers.get(player.sessionToken))
+      reconnectTimers.delete(player.sessionToken)
+      playerRooms.delete(player.id)
+    })
+    room.spectators.forEach((spectator) => playerRooms.delete(spectator.id))
+    persistence.cancel(roomId)
+    lobbyListings.delete(roomId)
+    rooms.delete(roomId)
+  }
 
-  socket.on("join-room", ({ roomId, player, password }) => {
-    try {
-      console.log(`[Server] Join room request: ${roomId} by ${player.name}`)
-      const room = rooms.get(roomId)
+  // Shuts a room down for everyone in it and deletes it
+  const closeRoom = (roomId, reason) => {
+    if (!rooms.has(roomId)) return false
 
-      if (!room) {
-        console.log(`[Server] Room ${roomId} not found`)
-        socket.emit("error", { message: "Room not found" })
-        return
-      }
+    io.to(roomId).emit("room-closed", { roomId, reason })
+    io.in(roomId).socketsLeave(roomId)
 
-      if (room.players.length >= room.maxPlayers) {
-        socket.emit("error", { message: "Room is full" })
-        return
+    const listed = lobbyListings.has(roomId)
+    dropRoom(roomId)
+    persistence.remove(roomId)
+    cluster.leases.release(roomId, nodeId)
+    if (listed) {
+      io.to(LOBBY_CHANNEL).emit("public-room-removed", { roomId })
+    }
+
+    console.log(`[Server] Room ${roomId} closed (${reason})`)
+    return true
+  }
+
+  // Takes over a stored room after a restart or when its owner went away.
+  // Players still connected to some node keep playing; the rest get the usual
+  // reconnect grace window. Timers resume from their stored deadlines.
+  const adoptRoom = async (room) => {
+    rooms.set(room.id, room)
+
+    await Promise.all(room.players.map(async (player) => {
+      playerRooms.set(player.id, room.id)
+      const sockets = await io.in(player.socketId).fetchSockets()
+      if (player.isConnected && sockets.length > 0) {
+        io.in(player.socketId).socketsJoin(room.id)
+      } else {
+        holdPlayerSlot(room.id, player)
       }
+    }))
+
+    // Spectators have no slot to hold; only those still connected stay
+    const watching = await Promise.all(
+      room.spectators.map(async (spectator) => (await io.in(spectator.socketId).fetchSockets()).length > 0)
+    )
+    room.spectators = room.spectators.filter((spectator, i) => watching[i])
+    room.spectators.forEach((spectator) => {
+      playerRooms.set(spectator.id, room.id)
+      io.in(spectator.socketId).socketsJoin(room.id)
+    })
 
-      if (room.isPrivate && room.password && room.password !== password) {
-        socket.emit("error", { message: "Incorrect password" })
-        return
+    if (room.gameState === "playing") {
+      if (room.gamePhase === "choosing") {
+        startChoosingTimer(room.id, room.phaseEndsAt)
+      } else if (room.gamePhase === "drawing") {
+        startRoundTimer(room.id, room.phaseEndsAt)
+      } else if (room.gamePhase === "revealing") {
+        scheduleNextTurn(room.id, Math.max(0, room.phaseEndsAt - Date.now()))
       }
+    }
 
-      const existingPlayer = room.players.find(p => p.id === socket.id)
-      if (existingPlayer) {
-        console.log(`[Server] Player ${player.name} already in room ${roomId}`)
-        socket.emit("room-joined", { room })
-        return
+    console.log(`[Server] Node ${nodeId} took over room ${room.id}`)
+  }
+
+  // Renews leases on our rooms and adopts stored rooms nobody owns
+  const sweepRooms = async () => {
+    for (const roomId of Array.from(rooms.keys())) {
+      if (!(await claimRoom(roomId))) {
+        console.log(`[Server] Lost the lease on room ${roomId}`)
+        dropRoom(roomId)
       }
+    }
 
-      const currentRoomId = playerRooms.get(socket.id)
-      if (currentRoomId && currentRoomId !== roomId) {
-        const currentRoom = rooms.get(currentRoomId)
-        if (currentRoom) {
-          currentRoom.players = currentRoom.players.filter(p => p.id !== socket.id)
-          delete currentRoom.scores[socket.id]
-          socket.leave(currentRoomId)
-          socket.to(currentRoomId).emit("player-left", {
-            player: { id: socket.id, name: player.name },
-            players: currentRoom.players
-          })
-        }
+    for (const room of await persistence.load()) {
+      if (rooms.has(room.id) || (await cluster.leases.owner(room.id))) continue
+      if (await claimRoom(room.id)) {
+        await adoptRoom(room)
       }
+    }
+  }
 
-      const newPlayer = createPlayer(socket.id, player.name, player.avatar)
-      room.players.push(newPlayer)
-      room.scores[socket.id] = 0
+  // Finds the node that owns a room, adopting it here if nobody does
+  // Ids that aren't room ids never reach the lease table or storage
+  const resolveOwner = async (roomId) => {
+    if (!isRoomId(roomId)) return null
+    const owner = await cluster.leases.owner(roomId)
+    if (owner) return owner
+
+    const stored = await persistence.loadOne(roomId)
+    if (!stored || !(await claimRoom(roomId))) return null
+    if (!rooms.has(roomId)) await adoptRoom(stored)
+    return nodeId
+  }
 
-      playerRooms.set(socket.id, roomId)
-      socket.join(roomId)
+  const createSocketHandle = (id, operations) => {
+    const handlers = new Map()
+    return {
+      id,
+      ...operations,
+      on: (event, handler) => {
+        handlers.set(event, [...(handlers.get(event) || []), handler])
+      },
+      dispatch: (event, args) => {
+        (handlers.get(event) || []).forEach((handler) => handler(...args))
+      },
+    }
+  }
 
-      console.log(`[Server] ${player.name} joined room ${roomId}`)
-      
-      // Emit to the joining player first
-      socket.emit("room-joined", { room })
-      
-      // Then notify others
-      socket.to(roomId).emit("player-joined", { player: newPlayer, players: room.players })
+  // Stand-ins for sockets on other nodes, keyed by socket id
+  const remoteHandles = new Map()
+  const pendingAcks = new Map()
+
+  const getRemoteHandle = (socketId, clientId = null) => {
+    if (!remoteHandles.has(socketId)) {
+      const handle = createSocketHandle(socketId, {
+        clientId,
+        emit: (...args) => io.to(socketId).emit(...args),
+        to: (room) => io.to(room).except(socketId),
+        join: (room) => io.in(socketId).socketsJoin(room),
+        leave: (room) => io.in(socketId).socketsLeave(room),
+      })
+      registerHandlers(handle)
+      remoteHandles.set(socketId, handle)
+    }
+    return remoteHandles.get(socketId)
+  }
 
-      // Send existing drawing data to new player if game is in progress
-      if (room.gameState === "playing" && room.drawingData.length > 0) {
-        room.drawingData.forEach(event => {
-          socket.emit("drawing-event", event)
-        })
-      }
-    } catch (error) {
-      console.error("Join room error:", error)
-      socket.emit("error", { message: "Failed to join room: " + error.message })
+  // Runs an event here if this node owns the room (or it has none), otherwise
+  // forwards it to the owner. Acknowledgement callbacks travel back over the bus.
+  const routeEvent = async (socket, handle, event, args, roomId = args[0]?.roomId) => {
+    const owner = !roomId || rooms.has(roomId) ? nodeId : await resolveOwner(roomId)
+    if (!owner || owner === nodeId) {
+      handle.dispatch(event, args)
+      return
     }
-  })
 
-  // Add leave-room handler
-  socket.on("leave-room", ({ roomId }) => {
-    try {
-      console.log(`[Server] Player ${socket.id} leaving room ${roomId}`)
-      const room = rooms.get(roomId)
-      
-      if (room) {
-        const player = removePlayerFromRoom(socket, roomId)
-        socket.leave(roomId)
-        
-        if (player) {
-          console.log(`[Server] Player ${player.name} left room ${roomId}`)
-        }
-      }
-    } catch (error) {
-      console.error("Leave room error:", error)
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null
+    let ackId = null
+    if (ack) {
+      ackId = randomUUID()
+      pendingAcks.set(ackId, ack)
     }
-  })
 
-  socket.on("start-game", ({ roomId }) => {
-    try {
-      const room = rooms.get(roomId)
-      if (!room) {
-        socket.emit("error", { message: "Room not found" })
-        return
-      }
+    await cluster.bus.publish(owner, {
+      type: "event",
+      origin: nodeId,
+      socketId: socket.id,
+      clientId: handle.clientId,
+      event,
+      args,
+      ackId,
+    })
+  }
 
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player?.isHost) {
-        socket.emit("error", { message: "Only the host can start the game" })
-        return
+  // Admin operations on one room, run by the node that owns it. Each returns
+  // the status and body for the admin API.
+  const adminActions = {
+    inspect: (roomId) => ({ status: 200, body: { node: nodeId, room: describeRoom(rooms.get(roomId)) } }),
+    close: (roomId, { reason }) => {
+      closeRoom(roomId, reason)
+      return { status: 200, body: { closed: roomId } }
+    },
+    kick: (roomId, { playerId }) => {
+      const player = rooms.get(roomId).players.find((p) => p.id === playerId)
+      if (player) {
+        kickPlayer(roomId, player, { reason: "admin", banMs: KICK_BAN_MS })
+        return { status: 200, body: { kicked: playerId } }
       }
 
-      if (room.players.length < 2) {
-        socket.emit("error", { message: "Need at least 2 players to start" })
-        return
-      }
+      const spectator = removeSpectator(roomId, playerId)
+      if (!spectator) return { status: 404, body: { error: "Player not found" } }
 
-      if (room.gameState === "playing") {
-        socket.emit("error", { message: "Game is already in progress" })
-        return
-      }
+      io.to(spectator.socketId).emit("kicked", { roomId, reason: "admin" })
+      io.in(spectator.socketId).socketsLeave(roomId)
+      return { status: 200, body: { kicked: playerId } }
+    },
+  }
 
-      room.gameState = "playing"
-      room.gamePhase = "drawing"
-      room.currentRound = 1
-      
-      room.currentDrawer = room.players[0]
-      room.currentDrawer.isDrawing = true
-      
-      room.currentWord = getRandomWord(room.customWords, room.categories, room.difficulty)
-      room.usedWords.push(room.currentWord)
-      room.currentWordCategory = room.customWords && room.customWords.includes(room.currentWord) ? "Custom" : "Default"
-      room.currentWordIsCustom = room.customWords && room.customWords.includes(room.currentWord)
-
-      room.drawingData = []
-
-      console.log(`[Server] Game started in room ${roomId}`)
-      io.to(roomId).emit("game-started", { room })
-      io.to(roomId).emit("round-started", {
-        room,
-        word: room.currentWord,
-        drawer: room.currentDrawer,
+  const runLocalAdminAction = (roomId, action, args) =>
+    rooms.has(roomId) ? adminActions[action](roomId, args) : { status: 404, body: { error: "Room not found" } }
+
+  // Runs an admin action here or on the room's owner, whose answer comes
+  // back over the bus like an acknowledgement
+  const runAdminAction = async (roomId, action, args = {}) => {
+    const owner = rooms.has(roomId) ? nodeId : await resolveOwner(roomId)
+    if (!owner) return { status: 404, body: { error: "Room not found" } }
+    if (owner === nodeId) return runLocalAdminAction(roomId, action, args)
+
+    return new Promise((resolve) => {
+      const ackId = randomUUID()
+      const timeout = setTimeout(() => {
+        pendingAcks.delete(ackId)
+        resolve({ status: 504, body: { error: "The node that owns the room did not answer" } })
+      }, ADMIN_ACTION_TIMEOUT_MS)
+
+      pendingAcks.set(ackId, (result) => {
+        clearTimeout(timeout)
+        resolve(result)
       })
+      cluster.bus.publish(owner, { type: "admin", origin: nodeId, roomId, action, args, ackId })
+    })
+  }
 
-      startRoundTimer(roomId)
-    } catch (error) {
-      console.error("Start game error:", error)
-      socket.emit("error", { message: "Failed to start game: " + error.message })
+  const unsubscribe = cluster.bus.subscribe(nodeId, (message) => {
+    if (message.type === "ack") {
+      const ack = pendingAcks.get(message.ackId)
+      pendingAcks.delete(message.ackId)
+      if (ack) ack(...message.response)
+      return
     }
-  })
 
-  socket.on("chat-message", ({ roomId, message }) => {
-    try {
-      const room = rooms.get(roomId)
-      if (!room) return
-
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player) return
-
-      const chatMessage = {
-        id: Date.now(),
-        player: player.name,
-        message,
-        type: "chat",
-        timestamp: Date.now(),
-      }
-
-      if (
-        room.gameState === "playing" &&
-        room.currentWord &&
-        message.toLowerCase().trim() === room.currentWord.toLowerCase() &&
-        socket.id !== room.currentDrawer?.id &&
-        !player.hasGuessed
-      ) {
-        player.hasGuessed = true
-        const points = Math.max(10, Math.floor(room.timeLeft / 2))
-        room.scores[socket.id] += points
-        player.score += points
-
-        io.to(roomId).emit("correct-guess", {
-          player: player.name,
-          word: room.currentWord,
-          points,
+    if (message.type === "event") {
+      const args = [...message.args]
+      if (message.ackId) {
+        args.push((...response) => {
+          cluster.bus.publish(message.origin, { type: "ack", ackId: message.ackId, response })
         })
+      }
 
-        const nonDrawerPlayers = room.players.filter((p) => p.id !== room.currentDrawer?.id)
-        const allGuessed = nonDrawerPlayers.every((p) => p.hasGuessed)
-
-        if (allGuessed) {
-          if (roomTimers.has(roomId)) {
-            clearInterval(roomTimers.get(roomId))
-            roomTimers.delete(roomId)
-          }
-          endRound(roomId)
-        }
-      } else {
-        io.to(roomId).emit("chat-message", chatMessage)
+      getRemoteHandle(message.socketId, message.clientId).dispatch(message.event, args)
+      if (message.event === "disconnect") {
+        remoteHandles.delete(message.socketId)
       }
-    } catch (error) {
-      console.error("Chat message error:", error)
     }
-  })
-
-  socket.on("drawing-event", ({ roomId, event }) => {
-    try {
-      const room = rooms.get(roomId)
-      if (!room) return
-
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player?.isDrawing) return
 
-      room.drawingData.push(event)
-      socket.to(roomId).emit("drawing-event", event)
-      
-      console.log(`[Server] Drawing event ${event.type} broadcasted to room ${roomId}`)
-    } catch (error) {
-      console.error("Drawing event error:", error)
+    if (message.type === "admin") {
+      const result = runLocalAdminAction(message.roomId, message.action, message.args)
+      cluster.bus.publish(message.origin, { type: "ack", ackId: message.ackId, response: [result] })
     }
   })
 
-  socket.on("clear-canvas", ({ roomId }) => {
-    try {
-      const room = rooms.get(roomId)
-      if (!room) return
+  const startGame = (roomId) => {
+    const room = rooms.get(roomId)
+    if (!room) return
 
-      const player = room.players.find((p) => p.id === socket.id)
-      if (!player?.isDrawing) return
+    room.gameState = "playing"
+    room.gamePhase = "drawing"
+    room.gameId = randomUUID()
+    room.currentRound = 1
+    room.turn = 0
+    syncTeams(room, { fill: true })
+    resetTeamScores(room)
+    room.drawQueue = buildDrawQueue(room)
+    room.turnSummaries = []
 
-      room.drawingData = []
-      socket.to(roomId).emit("canvas-cleared")
-      
-      console.log(`[Server] Canvas cleared and broadcasted to room ${roomId}`)
-    } catch (error) {
-      console.error("Clear canvas error:", error)
-    }
-  })
+    console.log(`[Server] Game started in room ${roomId}`)
+    emitRoomView(roomId, "game-started")
 
-  socket.on("kick-player", ({ roomId, playerId }) => {
-    try {
-      const room = rooms.get(roomId)
-      if (!room) return
+    startNextTurn(roomId)
+  }
+
+  // Seats a new player in a room and brings them up to date. Capacity and
+  // password checks are up to the caller.
+  const addPlayerToRoom = (socket, room, player) => {
+    const roomId = room.id
+    const newPlayer = createPlayer(socket.id, player.name, player.avatar, profileIdFor(player.profileSecret), socket.clientId)
+    // Rooms opened by matchmaking start empty; their first player hosts
+    newPlayer.isHost = !room.players.some((p) => p.isHost)
+    room.players.push(newPlayer)
+    room.scores[socket.id] = 0
+    // Anyone joining a game already underway needs a team to draw for
+    syncTeams(room, { fill: room.teamAssignment === "auto" || room.gameState === "playing" })
+
+    playerRooms.set(socket.id, roomId)
+    socket.join(roomId)
+
+    // Mid-game joiners get a turn later in the current round
+    if (room.gameState === "playing") {
+      room.drawQueue.push(newPlayer.id)
+    }
+    persistRoom(roomId)
 
-      const host = room.players.find((p) => p.id === socket.id)
-      if (!host?.isHost) return
+    console.log(`[Server] ${player.name} joined room ${roomId}`)
 
-      const playerToKick = room.players.find((p) => p.id === playerId)
-      if (!playerToKick) return
+    // Emit to the joining player first
+    socket.emit("room-joined", {
+      room: serializeRoom(room, socket.id),
+      sessionToken: newPlayer.sessionToken,
+      profileId: newPlayer.profileId,
+    })
 
-      room.players = room.players.filter((p) => p.id !== playerId)
-      delete room.scores[playerId]
-      playerRooms.delete(playerId)
+    // Then notify others
+    socket.to(roomId).emit("player-joined", {
+      player: serializePlayer(newPlayer),
+      players: serializePlayers(room.players),
+    })
 
-      io.to(playerId).emit("kicked")
-      socket.to(roomId).emit("player-left", {
-        player: playerToKick,
-        players: room.players,
+    // Send existing drawing data to new player if game is in progress
+    if (room.gameState === "playing") {
+      getReplayEvents(room).forEach(event => {
+        socket.emit("drawing-event", event)
       })
+    }
+    return newPlayer
+  }
 
-      console.log(`[Server] ${playerToKick.name} was kicked from room ${roomId}`)
-    } catch (error) {
-      console.error("Kick player error:", error)
+  const quickPlayQueue = createQueue({ minPlayers: QUICK_PLAY_MIN_PLAYERS })
+  let quickPlayTimer = null
+  let matchmaking = false
+
+  // Opens a public room for a matched group and starts it straight away
+  const openQuickPlayRoom = async ({ entries, preferences }) => {
+    let roomId = generateRoomId()
+    while (rooms.has(roomId) || !(await claimRoom(roomId))) {
+      roomId = generateRoomId()
     }
-  })
 
-  socket.on("get-public-rooms", () => {
-    try {
-      const publicRooms = []
-      for (const [roomId, room] of rooms.entries()) {
-        if (!room.isPrivate) {
-          publicRooms.push({
-            id: roomId,
-            name: room.name,
-            playerCount: room.players.length,
-            maxPlayers: room.maxPlayers,
-            gamePhase: room.gamePhase,
-            round: room.currentRound,
-            maxRounds: room.rounds,
-            difficulty: room.difficulty,
-            categories: room.categories,
-            host: room.players[0]?.name || "Unknown",
-            isPrivate: room.isPrivate,
-            hasPassword: !!room.password,
-          })
-        }
-      }
-      console.log(`[Server] Sending ${publicRooms.length} public rooms`)
-      socket.emit("public-rooms", { rooms: publicRooms })
+    const language = preferences.language || DEFAULT_LANGUAGE
+    const room = createRoom(roomId, {
+      name: `Quick Play ${roomId}`,
+      maxPlayers: QUICK_PLAY_ROOM.maxPlayers,
+      isPrivate: false,
+      password: "",
+      customWords: [],
+      rounds: QUICK_PLAY_ROOM.rounds,
+      drawTime: QUICK_PLAY_ROOM.drawTime,
+      categories: ["Animals", "Objects", "Food", "Nature"],
+      difficulty: preferences.difficulty || "mixed",
+      wordPacks: wordPacks.packsFor(language),
+      language,
+    })
+    rooms.set(roomId, room)
+    console.log(`[Server] Quick play room ${roomId} opened for ${entries.length} players`)
+
+    entries.forEach((entry) => {
+      addPlayerToRoom(entry.socket, room, entry.player)
+      entry.socket.emit("quick-play-matched", { roomId })
+    })
+    startGame(roomId)
+  }
+
+  // Seats queued players in open rooms, then opens rooms for any group big
+  // enough to start. Only rooms on this node are considered, since queued
+  // sockets are always local.
+  const runMatchmaking = async () => {
+    if (matchmaking) return
+    matchmaking = true
+
+    try {
+      // Anyone already seated in a room here is done waiting
+      quickPlayQueue
+        .entries()
+        .filter((entry) => playerRooms.has(entry.id))
+        .forEach((entry) => {
+          quickPlayQueue.remove(entry.id)
+          entry.socket.emit("quick-play-cancelled")
+        })
+
+      for (const entry of quickPlayQueue.entries()) {
+        const identity = { profileId: profileIdFor(entry.player.profileSecret), clientId: entry.socket.clientId }
+        const listings = Array.from(rooms.values())
+          .filter((room) => isListed(room) && !isBanned(room, identity))
+          .map(summarizeRoom)
+        const listing = pickRoom(listings, entry.preferences)
+        if (!listing) continue
+
+        quickPlayQueue.remove(entry.id)
+        addPlayerToRoom(entry.socket, rooms.get(listing.id), entry.player)
+        entry.socket.emit("quick-play-matched", { roomId: listing.id })
+      }
+
+      let group
+      while ((group = quickPlayQueue.takeGroup(QUICK_PLAY_ROOM.maxPlayers))) {
+        await openQuickPlayRoom(group)
+      }
+
+      quickPlayQueue.entries().forEach((entry) => {
+        const status = quickPlayQueue.status(entry.id)
+        const serialized = JSON.stringify(status)
+        if (serialized === entry.lastStatus) return
+        entry.lastStatus = serialized
+        entry.socket.emit("quick-play-queued", status)
+      })
+    } finally {
+      matchmaking = false
+    }
+
+    if (quickPlayQueue.entries().length === 0) {
+      clearInterval(quickPlayTimer)
+      quickPlayTimer = null
+    } else if (!quickPlayTimer) {
+      quickPlayTimer = setInterval(scheduleMatchmaking, QUICK_PLAY_INTERVAL_MS)
+    }
+  }
+
+  const scheduleMatchmaking = () => {
+    runMatchmaking().catch((error) => {
+      console.error("[Server] Matchmaking failed:", error)
+    })
+  }
+
+  const leaveQuickPlay = (socketId) => {
+    const entry = quickPlayQueue.remove(socketId)
+    if (entry) scheduleMatchmaking()
+    return entry
+  }
+
+  // Deduplicated pack ids, or null if the list is empty or names an unknown pack
+  const resolveWordPacks = (packIds) => {
+    if (!Array.isArray(packIds) || packIds.length === 0) return null
+    return packIds.every((id) => wordPacks.has(id)) ? [...new Set(packIds)] : null
+  }
+
+  // A language some pack has words in, or null
+  const resolveLanguage = (value) => {
+    const language = canonicalLanguage(value)
+    if (!language) return null
+    return wordPacks.languages().some((available) => languageMatches(available, language)) ? language.toLowerCase() : null
+  }
+
+  // Language and packs from room settings. Changing the language without
+  // naming packs switches the room to that language's built-in packs.
+  const resolveWordSettings = (roomData, current = { language: DEFAULT_LANGUAGE, wordPacks: null }) => {
+    const language = roomData?.language === undefined ? current.language : resolveLanguage(roomData.language)
+    if (!language) return { code: "UNSUPPORTED_LANGUAGE", error: "Unsupported language" }
+
+    let packIds = current.wordPacks
+    if (roomData?.wordPacks !== undefined) {
+      packIds = resolveWordPacks(roomData.wordPacks)
+    } else if (!packIds || language !== current.language) {
+      packIds = wordPacks.packsFor(language)
+    }
+    if (!packIds) return { code: "UNKNOWN_WORD_PACK", error: "Unknown word pack" }
+
+    return { language, packIds }
+  }
+
+  // Team settings from create-room, update-room and restart-game. Invalid
+  // values are ignored; player teams are brought in line afterwards.
+  const applyTeamSettings = (room, roomData) => {
+    if (GAME_MODES.includes(roomData.mode)) room.mode = roomData.mode
+    if (roomData.teamCount !== undefined) room.teamCount = clampTeamCount(roomData.teamCount)
+    if (TEAM_ASSIGNMENTS.includes(roomData.teamAssignment)) room.teamAssignment = roomData.teamAssignment
+    if (roomData.teammateWindow !== undefined) {
+      room.teammateWindow = Math.max(0, Math.min(room.drawTime, Number(roomData.teammateWindow) || 0))
+    }
+    syncTeams(room)
+    if (room.gameState !== "playing") resetTeamScores(room)
+  }
+
+  const matchOptions = (room) => ({ language: room.language, ignoreAccents: room.ignoreAccents })
+
+  // Registers every client event on a socket handle: either a local socket or
+  // a stand-in for one connected to another node whose events were forwarded
+  // here because this node owns the room.
+  const registerHandlers = (socket) => {
+    const drawingLimiter = createRateLimiter(DRAWING_RATE_LIMIT)
+    const chatFlood = createFloodControl()
+
+    // Registers a client event handler. The payload is checked against the
+    // event's schema, and against its phase rules when it names a room this
+    // node has, before the handler sees it. Handlers answer through reply;
+    // any that finish without doing so succeeded with no data.
+    const onEvent = (event, handler) => {
+      if (!isKnownEvent(event)) throw new Error(`No schema for event ${event}`)
+
+      socket.on(event, async (...args) => {
+        eventCounter.inc({ event })
+        const ack = typeof args[args.length - 1] === "function" ? args.pop() : null
+        const reply = createReply(socket, event, ack)
+        const refuse = isQuiet(event) ? reply.fail : reply.error
+
+        const { value, error } = validatePayload(event, args[0])
+        if (error) {
+          refuse("INVALID_PAYLOAD", error)
+          return
+        }
+
+        const room = value?.roomId && rooms.get(value.roomId)
+        const phaseError = room && checkPhase(event, room, value)
+        if (phaseError) {
+          refuse(phaseError.code, phaseError.message)
+          return
+        }
+
+        await handler(value, reply)
+        reply.ok()
+      })
+    }
+
+    onEvent("create-room", async ({ roomData, player }, reply) => {
+      try {
+        const playerName = sanitizeName(player.name, moderation)
+        if (!playerName) {
+          reply.error("INVALID_NAME", "Player name is required")
+          return
+        }
+
+        const { language, packIds, code, error } = resolveWordSettings(roomData)
+        if (error) {
+          reply.error(code, error)
+          return
+        }
+
+        let roomId = generateRoomId()
+        while (rooms.has(roomId) || !(await claimRoom(roomId))) {
+          roomId = generateRoomId()
+        }
+
+        console.log(`[Server] Creating room ${roomId} with data:`, roomData)
+
+        const room = createRoom(roomId, {
+          name: sanitizeName(roomData.name, moderation, MAX_ROOM_NAME_LENGTH) || `Room ${roomId}`,
+          maxPlayers: roomData.maxPlayers,
+          isPrivate: roomData.isPrivate,
+          password: roomData.password,
+          customWords: sanitizeCustomWords(roomData.customWords, moderation),
+          rounds: roomData.rounds,
+          drawTime: roomData.drawTime,
+          categories: roomData.categories || ["Animals", "Objects", "Food", "Nature"],
+          difficulty: roomData.difficulty || "mixed",
+          wordChoiceTime: roomData.wordChoiceTime || DEFAULT_WORD_CHOICE_TIME,
+          hints: roomData.hints ?? DEFAULT_HINTS,
+          scoring: resolveScoring(roomData.scoring),
+          wordPacks: packIds,
+          language,
+          ignoreAccents: roomData.ignoreAccents ?? true,
+        })
+        applyTeamSettings(room, roomData)
+
+        const newPlayer = createPlayer(socket.id, playerName, player.avatar, profileIdFor(player.profileSecret), socket.clientId)
+        newPlayer.isHost = true
+        room.players.push(newPlayer)
+        room.scores[socket.id] = 0
+        syncTeams(room)
+
+        rooms.set(roomId, room)
+        playerRooms.set(socket.id, roomId)
+        socket.join(roomId)
+        persistRoom(roomId)
+
+        console.log(`[Server] Room ${roomId} created by ${playerName}`)
+        reply.ok({ roomId, sessionToken: newPlayer.sessionToken, profileId: newPlayer.profileId })
+      
+        // Add a small delay before emitting to ensure everything is set up
+        setTimeout(() => {
+          socket.emit("room-created", {
+            roomId,
+            room: serializeRoom(room, socket.id),
+            sessionToken: newPlayer.sessionToken,
+            profileId: newPlayer.profileId,
+          })
+        }, 100)
+      } catch (error) {
+        console.error("Create room error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to create room: " + error.message)
+      }
+    })
+
+    onEvent("update-room", (roomData, reply) => {
+      try {
+        console.log(`[Server] Update room request for ${roomData.roomId}:`, roomData)
+        const room = rooms.get(roomData.roomId)
+
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isHost) {
+          reply.error("NOT_HOST", "Only the host can update room settings")
+          return
+        }
+
+        if (roomData.maxPlayers < room.players.length) {
+          reply.error("NOT_ALLOWED", "Max players can't be below the number of players in the room")
+          return
+        }
+
+        const { language, packIds, code, error } = resolveWordSettings(roomData, room)
+        if (error) {
+          reply.error(code, error)
+          return
+        }
+
+        if (roomData.isPrivate !== undefined) room.isPrivate = roomData.isPrivate
+        if (roomData.password !== undefined) room.password = roomData.password
+        if (roomData.maxPlayers !== undefined) room.maxPlayers = roomData.maxPlayers
+        if (roomData.rounds !== undefined) room.rounds = roomData.rounds
+        if (roomData.drawTime !== undefined) room.drawTime = roomData.drawTime
+        if (roomData.customWords !== undefined) room.customWords = sanitizeCustomWords(roomData.customWords, moderation)
+        if (roomData.categories !== undefined) room.categories = roomData.categories
+        if (roomData.difficulty !== undefined) room.difficulty = roomData.difficulty
+        if (roomData.wordChoiceTime !== undefined) room.wordChoiceTime = roomData.wordChoiceTime
+        if (roomData.hints !== undefined) room.hints = roomData.hints
+        if (roomData.scoring !== undefined) room.scoring = resolveScoring(roomData.scoring)
+        if (roomData.ignoreAccents !== undefined) room.ignoreAccents = roomData.ignoreAccents
+        room.language = language
+        room.wordPacks = packIds
+        applyTeamSettings(room, roomData)
+
+        console.log(`[Server] Room ${roomData.roomId} settings updated`)
+        persistRoom(roomData.roomId)
+        emitRoomView(roomData.roomId, "room-updated")
+      } catch (error) {
+        console.error("Update room error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to update room: " + error.message)
+      }
+    })
+
+    onEvent("restart-game", ({ roomId, roomData }, reply) => {
+      try {
+        console.log(`[Server] Restart game request for ${roomId}:`, roomData)
+        const room = rooms.get(roomId)
+
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isHost) {
+          reply.error("NOT_HOST", "Only the host can restart the game")
+          return
+        }
+
+        if (roomData?.maxPlayers < room.players.length) {
+          reply.error("NOT_ALLOWED", "Max players can't be below the number of players in the room")
+          return
+        }
+
+        const { language, packIds, code, error } = resolveWordSettings(roomData, room)
+        if (error) {
+          reply.error(code, error)
+          return
+        }
+
+        if (roomData) {
+          if (roomData.isPrivate !== undefined) room.isPrivate = roomData.isPrivate
+          if (roomData.password !== undefined) room.password = roomData.password
+          if (roomData.maxPlayers !== undefined) room.maxPlayers = roomData.maxPlayers
+          if (roomData.rounds !== undefined) room.rounds = roomData.rounds
+          if (roomData.drawTime !== undefined) room.drawTime = roomData.drawTime
+          if (roomData.customWords !== undefined) room.customWords = sanitizeCustomWords(roomData.customWords, moderation)
+          if (roomData.categories !== undefined) room.categories = roomData.categories
+          if (roomData.difficulty !== undefined) room.difficulty = roomData.difficulty
+          if (roomData.wordChoiceTime !== undefined) room.wordChoiceTime = roomData.wordChoiceTime
+          if (roomData.hints !== undefined) room.hints = roomData.hints
+          if (roomData.scoring !== undefined) room.scoring = resolveScoring(roomData.scoring)
+          if (roomData.ignoreAccents !== undefined) room.ignoreAccents = roomData.ignoreAccents
+          room.language = language
+          room.wordPacks = packIds
+          applyTeamSettings(room, roomData)
+        }
+
+        resetGame(roomId)
+
+        console.log(`[Server] Game restarted in room ${roomId}`)
+        emitRoomView(roomId, "game-restarted")
+      } catch (error) {
+        console.error("Restart game error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to restart game: " + error.message)
+      }
+    })
+
+    onEvent("join-room", ({ roomId, player, password }, reply) => {
+      try {
+        console.log(`[Server] Join room request: ${roomId} by ${player.name}`)
+        const room = rooms.get(roomId)
+
+        if (!room) {
+          console.log(`[Server] Room ${roomId} not found`)
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const playerName = sanitizeName(player.name, moderation)
+        if (!playerName) {
+          reply.error("INVALID_NAME", "Player name is required")
+          return
+        }
+
+        if (isBanned(room, { profileId: profileIdFor(player.profileSecret), clientId: socket.clientId })) {
+          reply.error("BANNED", "You are banned from this room")
+          return
+        }
+
+        // Spectators become players through promote-spectator only
+        if (room.spectators.some((s) => s.id === socket.id)) {
+          reply.error("ALREADY_IN_ROOM", "You are spectating this room; the host can promote you to a player")
+          return
+        }
+
+        if (room.players.length >= room.maxPlayers) {
+          reply.error("ROOM_FULL", "Room is full")
+          return
+        }
+
+        if (room.isPrivate && room.password && room.password !== password) {
+          reply.error("WRONG_PASSWORD", "Incorrect password")
+          return
+        }
+
+        const existingPlayer = room.players.find(p => p.id === socket.id)
+        if (existingPlayer) {
+          console.log(`[Server] Player ${player.name} already in room ${roomId}`)
+          socket.emit("room-joined", {
+            room: serializeRoom(room, socket.id),
+            sessionToken: existingPlayer.sessionToken,
+          })
+          reply.ok({ roomId, sessionToken: existingPlayer.sessionToken, profileId: existingPlayer.profileId })
+          return
+        }
+
+        const currentRoomId = playerRooms.get(socket.id)
+        if (currentRoomId && currentRoomId !== roomId) {
+          const currentRoom = rooms.get(currentRoomId)
+          if (currentRoom?.spectators.some((s) => s.id === socket.id)) {
+            removeSpectator(currentRoomId, socket.id)
+            socket.leave(currentRoomId)
+          } else if (currentRoom) {
+            currentRoom.players = currentRoom.players.filter(p => p.id !== socket.id)
+            delete currentRoom.scores[socket.id]
+            socket.leave(currentRoomId)
+            socket.to(currentRoomId).emit("player-left", {
+              player: { id: socket.id, name: playerName },
+              players: serializePlayers(currentRoom.players)
+            })
+          }
+        }
+
+        const newPlayer = addPlayerToRoom(socket, room, { ...player, name: playerName })
+        reply.ok({ roomId, sessionToken: newPlayer.sessionToken, profileId: newPlayer.profileId })
+      } catch (error) {
+        console.error("Join room error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to join room: " + error.message)
+      }
+    })
+
+    onEvent("join-as-spectator", ({ roomId, player, password }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const spectatorName = sanitizeName(player.name, moderation)
+        if (!spectatorName) {
+          reply.error("INVALID_NAME", "Player name is required")
+          return
+        }
+
+        const profileId = profileIdFor(player.profileSecret)
+        if (isBanned(room, { profileId, clientId: socket.clientId })) {
+          reply.error("BANNED", "You are banned from this room")
+          return
+        }
+
+        if (room.isPrivate && room.password && room.password !== password) {
+          reply.error("WRONG_PASSWORD", "Incorrect password")
+          return
+        }
+
+        const currentRoomId = playerRooms.get(socket.id)
+        if (currentRoomId) {
+          reply.error("ALREADY_IN_ROOM", "Leave your current room before spectating")
+          return
+        }
+
+        if (room.spectators.length >= MAX_SPECTATORS) {
+          reply.error("ROOM_FULL", "Too many spectators")
+          return
+        }
+
+        const spectator = createSpectator(socket.id, spectatorName, player.avatar, profileId, socket.clientId)
+        room.spectators.push(spectator)
+        playerRooms.set(socket.id, roomId)
+        socket.join(roomId)
+        persistRoom(roomId)
+
+        console.log(`[Server] ${spectatorName} is spectating room ${roomId}`)
+
+        socket.emit("room-joined", {
+          room: serializeRoom(room, socket.id),
+          isSpectator: true,
+        })
+
+        socket.to(roomId).emit("spectator-joined", {
+          spectator: serializeSpectator(spectator),
+          spectators: serializeSpectators(room.spectators),
+        })
+
+        if (room.gameState === "playing") {
+          getReplayEvents(room).forEach((event) => {
+            socket.emit("drawing-event", event)
+          })
+        }
+      } catch (error) {
+        console.error("Join as spectator error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to join as spectator: " + error.message)
+      }
+    })
+
+    // Spectators can only take a seat between turns, never mid-drawing
+    onEvent("promote-spectator", ({ roomId, spectatorId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can promote spectators")
+          return
+        }
+
+        const spectator = room.spectators.find((s) => s.id === spectatorId)
+        if (!spectator) {
+          reply.error("PLAYER_NOT_FOUND", "Spectator not found")
+          return
+        }
+
+        if (room.players.length >= room.maxPlayers) {
+          reply.error("ROOM_FULL", "Room is full")
+          return
+        }
+
+        const newPlayer = createPlayer(spectator.id, spectator.name, spectator.avatar, spectator.profileId, spectator.clientId)
+        room.spectators = room.spectators.filter((s) => s.id !== spectatorId)
+        room.players.push(newPlayer)
+        room.scores[newPlayer.id] = 0
+        syncTeams(room, { fill: room.teamAssignment === "auto" || room.gameState === "playing" })
+        if (room.gameState === "playing") {
+          room.drawQueue.push(newPlayer.id)
+        }
+        persistRoom(roomId)
+
+        console.log(`[Server] ${spectator.name} was promoted to player in room ${roomId}`)
+
+        io.to(spectator.socketId).emit("spectator-promoted", { sessionToken: newPlayer.sessionToken })
+        emitRoomView(roomId, "player-joined", (view) => ({
+          room: view,
+          player: serializePlayer(newPlayer),
+          players: view.players,
+        }))
+      } catch (error) {
+        console.error("Promote spectator error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("rejoin-room", ({ roomId, sessionToken }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = sessionToken && room.players.find((p) => p.sessionToken === sessionToken)
+        if (!player) {
+          reply.error("SESSION_EXPIRED", "Session expired")
+          return
+        }
+
+        const previousSocketId = player.socketId
+        rebindPlayer(room, player, socket)
+        io.in(previousSocketId).socketsLeave(roomId)
+        socket.join(roomId)
+
+        console.log(`[Server] ${player.name} rejoined room ${roomId}`)
+
+        socket.emit("room-rejoined", {
+          room: serializeRoom(room, socket.id),
+          sessionToken: player.sessionToken,
+        })
+        reply.ok({ roomId, sessionToken: player.sessionToken })
+
+        if (room.gameState === "playing") {
+          getReplayEvents(room).forEach((event) => {
+            socket.emit("drawing-event", event)
+          })
+          socket.emit("timer-update", { timeLeft: room.timeLeft, phase: room.gamePhase })
+
+          const choosing = room.gamePhase === "choosing" || room.paused?.phase === "choosing"
+          if (choosing && player.isDrawing) {
+            socket.emit("word-choosing", {
+              room: serializeRoom(room, socket.id),
+              drawer: serializePlayer(player),
+              words: room.wordChoices,
+              timeLeft: room.timeLeft,
+              ...getTurnInfo(room),
+            })
+          }
+        }
+
+        socket.to(roomId).emit("player-reconnected", {
+          player: serializePlayer(player),
+          players: serializePlayers(room.players),
+        })
+      } catch (error) {
+        console.error("Rejoin room error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to rejoin room: " + error.message)
+      }
+    })
+
+    // Add leave-room handler
+    onEvent("leave-room", ({ roomId }, reply) => {
+      try {
+        console.log(`[Server] Player ${socket.id} leaving room ${roomId}`)
+        const room = rooms.get(roomId)
+      
+        if (room) {
+          const member = removePlayerFromRoom(roomId, socket.id) || removeSpectator(roomId, socket.id)
+          socket.leave(roomId)
+        
+          if (member) {
+            console.log(`[Server] Player ${member.name} left room ${roomId}`)
+          }
+        }
+      } catch (error) {
+        console.error("Leave room error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("start-game", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isHost) {
+          reply.error("NOT_HOST", "Only the host can start the game")
+          return
+        }
+
+        if (room.players.length < 2) {
+          reply.error("NOT_ENOUGH_PLAYERS", "Need at least 2 players to start")
+          return
+        }
+
+        if (isTeamGame(room)) {
+          syncTeams(room, { fill: true })
+          const teamsWithPlayers = new Set(room.players.map((p) => p.team))
+          if (teamsWithPlayers.size < 2) {
+            reply.error("NOT_ENOUGH_PLAYERS", "Need players on at least 2 teams to start")
+            return
+          }
+        }
+
+        startGame(roomId)
+      } catch (error) {
+        console.error("Start game error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to start game: " + error.message)
+      }
+    })
+
+    onEvent("pause-game", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can pause the game")
+          return
+        }
+
+        pauseGame(roomId)
+        console.log(`[Server] Game paused in room ${roomId}`)
+      } catch (error) {
+        console.error("Pause game error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("resume-game", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can resume the game")
+          return
+        }
+
+        resumeGame(roomId)
+        console.log(`[Server] Game resumed in room ${roomId}`)
+      } catch (error) {
+        console.error("Resume game error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    // Reveals the word and moves on to the next drawer; nobody scores for
+    // the rest of the turn
+    onEvent("skip-turn", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can skip a turn")
+          return
+        }
+
+        if (roomTimers.has(roomId)) {
+          clearInterval(roomTimers.get(roomId))
+          roomTimers.delete(roomId)
+        }
+        console.log(`[Server] Host skipped ${room.currentDrawer?.name}'s turn in room ${roomId}`)
+        endTurn(roomId)
+      } catch (error) {
+        console.error("Skip turn error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("end-game", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can end the game")
+          return
+        }
+
+        endGame(roomId)
+        console.log(`[Server] Host ended the game in room ${roomId}`)
+      } catch (error) {
+        console.error("End game error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("transfer-host", ({ roomId, playerId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.error("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can hand over the room")
+          return
+        }
+
+        const newHost = room.players.find((p) => p.id === playerId)
+        if (!newHost || newHost === host) {
+          reply.error("PLAYER_NOT_FOUND", "Player not found")
+          return
+        }
+        if (!newHost.isConnected) {
+          reply.error("NOT_ALLOWED", `${newHost.name} is disconnected`)
+          return
+        }
+
+        host.isHost = false
+        newHost.isHost = true
+        persistRoom(roomId)
+        emitHostChanged(roomId, host)
+        console.log(`[Server] Host transferred to ${newHost.name} in room ${roomId}`)
+      } catch (error) {
+        console.error("Transfer host error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("choose-word", ({ roomId, word }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isDrawing) {
+          reply.fail("NOT_ALLOWED", "Only the drawer can choose the word")
+          return
+        }
+
+        if (!room.wordChoices.includes(word)) {
+          reply.error("INVALID_WORD", "That word is not one of your choices")
+          return
+        }
+
+        console.log(`[Server] ${player.name} chose a word in room ${roomId}`)
+        beginDrawing(roomId, word)
+      } catch (error) {
+        console.error("Choose word error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("chat-message", ({ roomId, message }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        const spectator = !player && room.spectators.find((s) => s.id === socket.id)
+        if (!player && !spectator) {
+          reply.fail("NOT_IN_ROOM", "You are not in this room")
+          return
+        }
+
+        if (!message.trim()) {
+          reply.fail("INVALID_PAYLOAD", "message must not be empty")
+          return
+        }
+
+        const flood = chatFlood.check()
+        if (!flood.allowed) {
+          const seconds = secondsUntil(flood.mutedUntil)
+          socket.emit("chat-muted", { mutedUntil: flood.mutedUntil, seconds })
+          reply.fail("MUTED", `You are muted for ${seconds} seconds`)
+          return
+        }
+
+        if (moderation.mode === "block" && !moderation.isClean(message)) {
+          socket.emit("message-blocked", { message: "That message isn't allowed here" })
+          reply.fail("MESSAGE_BLOCKED", "That message isn't allowed here")
+          return
+        }
+
+        // Chat is open in every phase, but only messages sent while someone is
+        // drawing count as guesses. The word stays secret until the turn ends,
+        // pauses included; once it has been revealed it is just chat.
+        const guessing = room.gamePhase === "drawing"
+        const wordIsSecret = !!room.currentWord && (guessing || room.gamePhase === "paused")
+
+        // Guesses are checked against what was typed; everyone sees it masked
+        const chatMessage = {
+          id: Date.now(),
+          player: (player || spectator).name,
+          message: moderation.mask(message),
+          type: "chat",
+          timestamp: Date.now(),
+        }
+
+        // Spectators can't guess. A message that would have counted as one
+        // only goes to the other spectators, so it can't give players the
+        // answer and doesn't tell the sender they were right.
+        if (spectator) {
+          const spectatorMessage = { ...chatMessage, type: "spectator" }
+          const wouldGuess =
+            wordIsSecret &&
+            (checkGuess(message, room.currentWord, matchOptions(room)) ||
+              containsWord(message, room.currentWord, matchOptions(room)))
+
+          if (wouldGuess) {
+            room.spectators.forEach((s) => {
+              io.to(s.socketId).emit("chat-message", spectatorMessage)
+            })
+          } else {
+            io.to(roomId).emit("chat-message", spectatorMessage)
+          }
+          return
+        }
+
+        // Nothing counts while the game is paused, and a message that would
+        // have been a guess isn't shown to anyone either
+        if (
+          wordIsSecret &&
+          !guessing &&
+          !player.isDrawing &&
+          !player.hasGuessed &&
+          (checkGuess(message, room.currentWord, matchOptions(room)) ||
+            containsWord(message, room.currentWord, matchOptions(room)))
+        ) {
+          socket.emit("message-blocked", { message: "Guessing is paused" })
+          reply.fail("WRONG_PHASE", "Guessing is paused")
+          return
+        }
+
+        // While the teammate window is open, the other teams only talk among
+        // themselves so their guesses can't help anyone
+        if (guessing && !player.isDrawing && !canGuessNow(room, player)) {
+          const teamMessage = { ...chatMessage, type: "team" }
+          room.players
+            .filter((p) => p.team === player.team)
+            .forEach((p) => {
+              io.to(p.socketId).emit("chat-message", teamMessage)
+            })
+          return
+        }
+
+        const canGuess =
+          guessing &&
+          room.currentWord &&
+          socket.id !== room.currentDrawer?.id &&
+          !player.hasGuessed
+        const guessResult = canGuess ? checkGuess(message, room.currentWord, matchOptions(room)) : null
+
+        if (guessResult === "correct") {
+          player.hasGuessed = true
+          guessLatency.observe((room.drawTime * 1000 - (room.phaseEndsAt - Date.now())) / 1000)
+          const order = room.turnGuesses.length + 1
+          const points = scoreGuess(room.scoring, {
+            timeLeft: room.timeLeft,
+            drawTime: room.drawTime,
+            order,
+            hintsRevealed: room.revealedIndices.length,
+          })
+          room.scores[socket.id] += points
+          player.score += points
+          addTeamPoints(room, player, points)
+          room.turnGuesses.push({
+            playerId: player.id,
+            profileId: player.profileId,
+            name: player.name,
+            order,
+            timeTaken: room.drawTime - room.timeLeft,
+            points,
+          })
+          persistRoom(roomId)
+
+          // Only those who already know the word get it back
+          emitRoomView(roomId, "correct-guess", (view, recipient) => ({
+            player: player.name,
+            word: recipient.hasGuessed || recipient.isDrawing ? room.currentWord : undefined,
+            points,
+            order,
+          }))
+
+          const nonDrawerPlayers = room.players.filter((p) => p.id !== room.currentDrawer?.id && p.isConnected)
+          const allGuessed = nonDrawerPlayers.every((p) => p.hasGuessed)
+
+          if (allGuessed) {
+            if (roomTimers.has(roomId)) {
+              clearInterval(roomTimers.get(roomId))
+              roomTimers.delete(roomId)
+            }
+            endTurn(roomId)
+          }
+        } else if (guessResult === "close") {
+          // Kept private: broadcasting a near miss would leak the answer
+          socket.emit("close-guess", { guess: message, message: `${message} is close!` })
+        } else if (wordIsSecret && (player.isDrawing || player.hasGuessed)) {
+          // The drawer and players who already guessed talk among themselves
+          if (containsWord(message, room.currentWord, matchOptions(room))) {
+            socket.emit("message-blocked", { message: "You can't reveal the word in chat" })
+            reply.fail("MESSAGE_BLOCKED", "You can't reveal the word in chat")
+            return
+          }
+
+          const guessedMessage = { ...chatMessage, type: "guessed" }
+          room.players
+            .filter((p) => p.isDrawing || p.hasGuessed)
+            .forEach((p) => {
+              io.to(p.socketId).emit("chat-message", guessedMessage)
+            })
+        } else {
+          io.to(roomId).emit("chat-message", chatMessage)
+        }
+      } catch (error) {
+        console.error("Chat message error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("drawing-event", ({ roomId, event }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isDrawing) {
+          reply.fail("NOT_ALLOWED", "Only the drawer can do that")
+          return
+        }
+
+        if (!drawingLimiter.tryConsume()) {
+          reply.fail("RATE_LIMITED", "Drawing too fast")
+          return
+        }
+
+        const drawingEvent = validateDrawingEvent(event)
+        if (!drawingEvent) {
+          socket.emit("drawing-rejected", { message: "Invalid drawing event" })
+          reply.fail("INVALID_DRAWING", "Invalid drawing event")
+          return
+        }
+
+        const result = applyDrawingEvent(room, drawingEvent)
+        if (result.error) {
+          socket.emit("drawing-rejected", { message: result.error })
+          reply.fail("INVALID_DRAWING", result.error)
+          return
+        }
+
+        socket.to(roomId).emit("drawing-event", result.event)
+        recordEvent(room, "drawing-event", result.event)
+        persistRoom(roomId)
+      } catch (error) {
+        console.error("Drawing event error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("clear-canvas", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isDrawing) {
+          reply.fail("NOT_ALLOWED", "Only the drawer can do that")
+          return
+        }
+
+        const clear = clearCanvas(room)
+        persistRoom(roomId)
+        socket.to(roomId).emit("canvas-cleared", { strokeId: clear.strokeId })
+        recordEvent(room, "canvas-cleared", { strokeId: clear.strokeId })
+      
+        console.log(`[Server] Canvas cleared and broadcasted to room ${roomId}`)
+      } catch (error) {
+        console.error("Clear canvas error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("undo-stroke", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isDrawing) {
+          reply.fail("NOT_ALLOWED", "Only the drawer can do that")
+          return
+        }
+
+        const entry = undoStroke(room)
+        if (!entry) {
+          reply.fail("NOT_ALLOWED", "Nothing to undo")
+          return
+        }
+        persistRoom(roomId)
+
+        // Undoing a clear brings back everything it wiped
+        const [event, data] = entry.type === "clear"
+          ? ["stroke-restored", { strokeId: entry.strokeId, events: expandEntry(entry) }]
+          : ["stroke-removed", { strokeId: entry.strokeId }]
+        io.to(roomId).emit(event, data)
+        recordEvent(room, event, data)
+      } catch (error) {
+        console.error("Undo stroke error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("redo-stroke", ({ roomId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player?.isDrawing) {
+          reply.fail("NOT_ALLOWED", "Only the drawer can do that")
+          return
+        }
+
+        const entry = redoStroke(room)
+        if (!entry) {
+          reply.fail("NOT_ALLOWED", "Nothing to redo")
+          return
+        }
+        persistRoom(roomId)
+
+        const [event, data] = entry.type === "clear"
+          ? ["canvas-cleared", { strokeId: entry.strokeId }]
+          : ["stroke-restored", { strokeId: entry.strokeId, events: expandEntry(entry) }]
+        io.to(roomId).emit(event, data)
+        recordEvent(room, event, data)
+      } catch (error) {
+        console.error("Redo stroke error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("kick-player", ({ roomId, playerId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.fail("NOT_HOST", "Only the host can kick players")
+          return
+        }
+
+        const playerToKick = room.players.find((p) => p.id === playerId)
+        if (!playerToKick || playerToKick === host) {
+          reply.fail("PLAYER_NOT_FOUND", "Player not found")
+          return
+        }
+
+        kickPlayer(roomId, playerToKick, { reason: "kicked", banMs: KICK_BAN_MS })
+      } catch (error) {
+        console.error("Kick player error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    // Like kick-player, but the player stays out for as long as the room exists
+    onEvent("ban-player", ({ roomId, playerId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can ban players")
+          return
+        }
+
+        const playerToBan = room.players.find((p) => p.id === playerId)
+        if (!playerToBan || playerToBan === host) {
+          reply.fail("PLAYER_NOT_FOUND", "Player not found")
+          return
+        }
+
+        kickPlayer(roomId, playerToBan, { reason: "banned" })
+      } catch (error) {
+        console.error("Ban player error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("unban-player", ({ roomId, banId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can lift bans")
+          return
+        }
+
+        room.bans = room.bans.filter((ban) => ban.id !== banId)
+        persistRoom(roomId)
+        emitRoomView(roomId, "room-updated")
+      } catch (error) {
+        console.error("Unban player error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    // Any player can vote to remove anyone but the host or themselves. The
+    // vote passes once a majority of the other connected players back it.
+    // Votes are kept by session token so they survive reconnects.
+    onEvent("vote-kick", ({ roomId, playerId }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const voter = room.players.find((p) => p.id === socket.id)
+        const target = room.players.find((p) => p.id === playerId)
+        if (!voter || !target) {
+          reply.fail("PLAYER_NOT_FOUND", "Player not found")
+          return
+        }
+
+        if (target === voter || target.isHost) {
+          reply.error("NOT_ALLOWED", "You can't vote to kick that player")
+          return
+        }
+
+        const electorate = room.players.filter((p) => p !== target && p.isConnected)
+        const voters = new Set([...(room.kickVotes[target.sessionToken] || []), voter.sessionToken])
+        const votes = electorate.filter((p) => voters.has(p.sessionToken)).map((p) => p.sessionToken)
+        const needed = Math.floor(electorate.length / 2) + 1
+
+        if (votes.length >= needed) {
+          kickPlayer(roomId, target, { reason: "vote", banMs: KICK_BAN_MS })
+          reply.ok({ votes: votes.length, needed, passed: true })
+          return
+        }
+
+        room.kickVotes[target.sessionToken] = votes
+        persistRoom(roomId)
+        io.to(roomId).emit("vote-kick-updated", {
+          player: serializePlayer(target),
+          votes: votes.length,
+          needed,
+        })
+        reply.ok({ votes: votes.length, needed, passed: false })
+      } catch (error) {
+        console.error("Vote kick error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("get-public-rooms", async (query, reply) => {
+      try {
+        const result = queryRooms(await listRooms(), query)
+        console.log(`[Server] Sending ${result.rooms.length} of ${result.total} public rooms`)
+        socket.emit("public-rooms", result)
+        reply.ok(result)
+      } catch (error) {
+        console.error("Get public rooms error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    // Lets a player pick their own team while the room is in the lobby
+    onEvent("choose-team", ({ roomId, team }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player) {
+          reply.fail("NOT_IN_ROOM", "You are not in this room")
+          return
+        }
+
+        if (!isTeamGame(room) || room.teamAssignment !== "manual") {
+          reply.error("NOT_ALLOWED", "Teams are assigned automatically in this room")
+          return
+        }
+
+        if (!isTeam(room, team)) {
+          reply.error("NOT_ALLOWED", "You can't join that team")
+          return
+        }
+
+        player.team = team
+        persistRoom(roomId)
+        emitRoomView(roomId, "room-updated")
+      } catch (error) {
+        console.error("Choose team error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    // The host can move anyone between teams in the lobby, in either mode
+    onEvent("assign-team", ({ roomId, playerId, team }, reply) => {
+      try {
+        const room = rooms.get(roomId)
+        if (!room) {
+          reply.fail("ROOM_NOT_FOUND", "Room not found")
+          return
+        }
+
+        const host = room.players.find((p) => p.id === socket.id)
+        if (!host?.isHost) {
+          reply.error("NOT_HOST", "Only the host can assign teams")
+          return
+        }
+
+        const player = room.players.find((p) => p.id === playerId)
+        if (!player) {
+          reply.fail("PLAYER_NOT_FOUND", "Player not found")
+          return
+        }
+
+        if (!isTeamGame(room) || !isTeam(room, team)) {
+          reply.error("NOT_ALLOWED", "Teams can't be changed in this room")
+          return
+        }
+
+        player.team = team
+        persistRoom(roomId)
+        emitRoomView(roomId, "room-updated")
+      } catch (error) {
+        console.error("Assign team error:", error)
+        reply.fail("INTERNAL_ERROR", error.message)
+      }
+    })
+
+    onEvent("quick-play", ({ player, preferences }, reply) => {
+      try {
+        const playerName = sanitizeName(player.name, moderation)
+        if (!playerName) {
+          reply.error("INVALID_NAME", "Player name is required")
+          return
+        }
+
+        if (playerRooms.has(socket.id)) {
+          reply.error("ALREADY_IN_ROOM", "Leave your current room before using quick play")
+          return
+        }
+
+        const difficulty = preferences.difficulty || null
+        const language = preferences.language ? resolveLanguage(preferences.language) : null
+        if (preferences.language && !language) {
+          reply.error("UNSUPPORTED_LANGUAGE", "Unsupported language")
+          return
+        }
+
+        quickPlayQueue.remove(socket.id)
+        quickPlayQueue.add({ id: socket.id, socket, player: { ...player, name: playerName }, preferences: { difficulty, language } })
+        console.log(`[Server] ${playerName} joined the quick play queue`)
+        scheduleMatchmaking()
+      } catch (error) {
+        console.error("Quick play error:", error)
+        reply.error("INTERNAL_ERROR", "Failed to join quick play: " + error.message)
+      }
+    })
+
+    onEvent("cancel-quick-play", () => {
+      if (leaveQuickPlay(socket.id)) {
+        socket.emit("quick-play-cancelled")
+      }
+    })
+
+    onEvent("subscribe-lobby", () => {
+      socket.join(LOBBY_CHANNEL)
+    })
+
+    onEvent("unsubscribe-lobby", () => {
+      socket.leave(LOBBY_CHANNEL)
+    })
+
+    socket.on("disconnect", () => {
+      try {
+        const roomId = playerRooms.get(socket.id)
+        if (!roomId) {
+          console.log(`[Server] Player ${socket.id} disconnected (no room)`)
+          return
+        }
+
+        const room = rooms.get(roomId)
+        if (!room) {
+          console.log(`[Server] Player ${socket.id} disconnected (room not found)`)
+          playerRooms.delete(socket.id)
+          return
+        }
+
+        if (removeSpectator(roomId, socket.id)) {
+          console.log(`[Server] Spectator ${socket.id} disconnected from room ${roomId}`)
+          return
+        }
+
+        const player = room.players.find((p) => p.id === socket.id)
+        if (!player) {
+          playerRooms.delete(socket.id)
+          return
+        }
+
+        console.log(`[Server] Player ${socket.id} disconnected from room ${roomId}, holding slot`)
+        holdPlayerSlot(roomId, player)
+      } catch (error) {
+        console.error("Disconnect error:", error)
+      }
+    })
+  }
+
+  // Settles the protocol version before a client is let in
+  io.use((socket, next) => {
+    const version = negotiateProtocol(socket.handshake)
+    if (!version) {
+      const error = new Error("Unsupported protocol version")
+      error.data = { code: "UNSUPPORTED_PROTOCOL", supported: SUPPORTED_PROTOCOL_VERSIONS }
+      next(error)
+      return
+    }
+
+    socket.data.protocolVersion = version
+    next()
+  })
+
+  // Clients keep the id they are given here and offer it back as
+  // auth.clientId, so bans can tell anonymous players apart even when they
+  // share one network address
+  io.use((socket, next) => {
+    socket.data.clientId = resolveClientId(socket.handshake.auth?.clientId)
+    next()
+  })
+
+  io.on("connection", (socket) => {
+    console.log("Player connected:", socket.id)
+    socket.emit("protocol", {
+      version: socket.data.protocolVersion,
+      supported: SUPPORTED_PROTOCOL_VERSIONS,
+      clientId: socket.data.clientId,
+    })
+
+    const handle = createSocketHandle(socket.id, {
+      clientId: socket.data.clientId,
+      emit: (...args) => socket.emit(...args),
+      to: (room) => socket.to(room),
+      join: (room) => socket.join(room),
+      leave: (room) => socket.leave(room),
+    })
+    registerHandlers(handle)
+
+    socket.onAny((event, ...args) => {
+      // The queue lives on the node the socket is connected to, whichever
+      // node ends up owning the room
+      if (ROOM_ENTRY_EVENTS.includes(event) && leaveQuickPlay(socket.id)) {
+        socket.emit("quick-play-cancelled")
+      }
+      routeEvent(socket, handle, event, args).catch((error) => {
+        console.error(`Routing ${event} failed:`, error)
+      })
+    })
+
+    // Socket.IO empties socket.rooms before "disconnect", so note them first
+    let joinedRooms = []
+    socket.on("disconnecting", () => {
+      joinedRooms = Array.from(socket.rooms).filter((roomId) => roomId !== socket.id && roomId !== LOBBY_CHANNEL)
+    })
+
+    socket.on("disconnect", (reason) => {
+      leaveQuickPlay(socket.id)
+      const roomId = playerRooms.get(socket.id) || joinedRooms[0]
+      routeEvent(socket, handle, "disconnect", [reason], roomId).catch((error) => {
+        console.error("Routing disconnect failed:", error)
+      })
+    })
+  })
+
+  app.get("/", (req, res) => {
+    res.send("Brush Rush Server")
+  })
+
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      node: nodeId,
+      rooms: rooms.size,
+      players: Array.from(rooms.values()).reduce((sum, room) => sum + room.players.length, 0),
+      uptime: process.uptime()
+    })
+  })
+
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render())
+  })
+
+  app.get("/players/:id/stats", async (req, res) => {
+    try {
+      const since = windowStart(req.query.window)
+      if (since === null) {
+        res.status(400).json({ error: "Unknown window" })
+        return
+      }
+
+      const stats = await profiles.getStats(req.params.id, since)
+      if (!stats) {
+        res.status(404).json({ error: "Player not found" })
+        return
+      }
+      res.json({ window: req.query.window || "all", stats })
+    } catch (error) {
+      console.error("Player stats error:", error)
+      res.status(500).json({ error: "Failed to load player stats" })
+    }
+  })
+
+  app.get("/leaderboard", async (req, res) => {
+    try {
+      const since = windowStart(req.query.window)
+      if (since === null) {
+        res.status(400).json({ error: "Unknown window" })
+        return
+      }
+
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20))
+      res.json({ window: req.query.window || "all", players: await profiles.getLeaderboard(since, limit) })
     } catch (error) {
-      console.error("Get public rooms error:", error)
+      console.error("Leaderboard error:", error)
+      res.status(500).json({ error: "Failed to load leaderboard" })
     }
   })
 
-  socket.on("disconnect", () => {
+  app.get("/rooms", async (req, res) => {
     try {
-      const roomId = playerRooms.get(socket.id)
-      if (!roomId) {
-        console.log(`[Server] Player ${socket.id} disconnected (no room)`)
+      res.json(queryRooms(await listRooms(), req.query))
+    } catch (error) {
+      console.error("List rooms error:", error)
+      res.status(500).json({ error: "Failed to list rooms" })
+    }
+  })
+
+  app.get("/packs", (req, res) => {
+    res.json({ packs: wordPacks.list() })
+  })
+
+  app.get("/packs/:id/export", (req, res) => {
+    const pack = wordPacks.get(req.params.id)
+    if (!pack) {
+      res.status(404).json({ error: "Pack not found" })
+      return
+    }
+
+    const { builtIn, ...exported } = pack
+    if (req.query.format === "csv") {
+      res.attachment(`${pack.id}.csv`).type("text/csv").send(toCsv(pack))
+    } else {
+      res.attachment(`${pack.id}.json`).json(exported)
+    }
+  })
+
+  // JSON packs are posted as-is; CSV packs take id, name and language from the
+  // query. Uploading needs ADMIN_TOKEN, like the admin API.
+  app.post(
+    "/packs",
+    requireAdminToken(adminToken),
+    express.json({ limit: "1mb" }),
+    express.text({ type: "text/csv", limit: "1mb" }),
+    async (req, res) => {
+      let pack
+      try {
+        pack = req.is("text/csv") ? parseCsvPack(req.body, req.query) : parsePack(req.body)
+      } catch (error) {
+        res.status(400).json({ error: error.message })
+        return
+      }
+
+      // Uploaded words go through the same filter as a room's custom words
+      pack.words = pack.words.filter((entry) => sanitizeCustomWords([entry.word], moderation).length > 0)
+      if (pack.words.length === 0) {
+        res.status(400).json({ error: "Pack has no allowed words" })
+        return
+      }
+
+      if (wordPacks.has(pack.id)) {
+        res.status(409).json({ error: `Pack "${pack.id}" already exists` })
         return
       }
 
-      const room = rooms.get(roomId)
-      if (!room) {
-        console.log(`[Server] Player ${socket.id} disconnected (room not found)`)
-        playerRooms.delete(socket.id)
+      if (wordPacks.isFull()) {
+        res.status(409).json({ error: `No more than ${MAX_UPLOADED_PACKS} packs can be uploaded` })
         return
       }
 
-      console.log(`[Server] Player ${socket.id} disconnected from room ${roomId}`)
-      removePlayerFromRoom(socket, roomId)
+      try {
+        res.status(201).json({ pack: await wordPacks.add(pack) })
+      } catch (error) {
+        console.error("Pack upload error:", error)
+        res.status(500).json({ error: "Failed to save pack" })
+      }
+    }
+  )
+
+  app.get("/games/:gameId/gallery", (req, res) => {
+    const gallery = recordings.gallery(req.params.gameId)
+    if (gallery.length === 0) {
+      res.status(404).json({ error: "Game not found" })
+      return
+    }
+    res.json({ gameId: req.params.gameId, turns: gallery })
+  })
+
+  // The timed event stream: replay by emitting each event at its offset t (ms)
+  app.get("/recordings/:id", async (req, res) => {
+    try {
+      const recording = await recordings.get(req.params.id)
+      if (!recording) {
+        res.status(404).json({ error: "Recording not found" })
+        return
+      }
+      const { canvas, ...stream } = recording
+      res.json(stream)
     } catch (error) {
-      console.error("Disconnect error:", error)
+      console.error("Recording error:", error)
+      res.status(500).json({ error: "Failed to load recording" })
     }
   })
 
-  // Send periodic stats updates
-  const statsInterval = setInterval(() => {
-    const stats = {
-      totalRooms: rooms.size,
-      totalPlayers: Array.from(rooms.values()).reduce((sum, room) => sum + room.players.length, 0),
-      activeGames: Array.from(rooms.values()).filter(room => room.gameState === "playing").length,
+  app.get("/recordings/:id/svg", async (req, res) => {
+    try {
+      const recording = await recordings.get(req.params.id)
+      if (!recording) {
+        res.status(404).json({ error: "Recording not found" })
+        return
+      }
+      res.type("image/svg+xml").send(renderSvg(recording.canvas))
+    } catch (error) {
+      console.error("Recording SVG error:", error)
+      res.status(500).json({ error: "Failed to render recording" })
     }
-    io.emit("server-stats", stats)
-  }, 30000)
+  })
 
-  // Clear interval on disconnect
-  socket.on("disconnect", () => {
-    clearInterval(statsInterval)
+  // Admin API. Every request needs ADMIN_TOKEN as a bearer token.
+  const admin = express.Router()
+  admin.use(requireAdminToken(adminToken))
+  admin.use(express.json({ limit: "16kb" }))
+
+  admin.get("/rooms", async (req, res) => {
+    try {
+      res.json({ rooms: (await listRooms()).map(summarizeRoom) })
+    } catch (error) {
+      console.error("Admin list rooms error:", error)
+      res.status(500).json({ error: "Failed to list rooms" })
+    }
   })
-})
 
-app.get("/", (req, res) => {
-  res.send("Brush Rush Server")
-})
+  admin.get("/rooms/:id", async (req, res) => {
+    try {
+      const result = await runAdminAction(req.params.id, "inspect")
+      res.status(result.status).json(result.body)
+    } catch (error) {
+      console.error("Admin inspect room error:", error)
+      res.status(500).json({ error: "Failed to inspect room" })
+    }
+  })
 
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    rooms: rooms.size,
-    players: Array.from(rooms.values()).reduce((sum, room) => sum + room.players.length, 0),
-    uptime: process.uptime()
+  admin.post("/rooms/:id/close", async (req, res) => {
+    try {
+      const reason = typeof req.body?.reason === "string" && req.body.reason ? req.body.reason : "Closed by an administrator"
+      const result = await runAdminAction(req.params.id, "close", { reason })
+      res.status(result.status).json(result.body)
+    } catch (error) {
+      console.error("Admin close room error:", error)
+      res.status(500).json({ error: "Failed to close room" })
+    }
   })
-})
 
-const PORT = process.env.PORT || process.env.SOCKET_PORT || 3001
-httpServer.listen(PORT, "0.0.0.0", () => {
-  console.log(`Socket.IO server running on port ${PORT}`)
-  console.log(`WebSocket URL: ws://localhost:${PORT}`)
-  console.log("Ready to accept connections...")
-  console.log("Supported events:")
-  console.log("- create-room, join-room, leave-room, start-game")
-  console.log("- update-room, restart-game")
-  console.log("- chat-message, drawing-event, clear-canvas")
-  console.log("- kick-player, get-public-rooms")
-})
\ No newline at end of file
+  admin.post("/rooms/:id/kick", async (req, res) => {
+    const playerId = req.body?.playerId
+    if (typeof playerId !== "string" || !playerId) {
+      res.status(400).json({ error: "playerId is required" })
+      return
+    }
+
+    try {
+      const result = await runAdminAction(req.params.id, "kick", { playerId })
+      res.status(result.status).json(result.body)
+    } catch (error) {
+      console.error("Admin kick error:", error)
+      res.status(500).json({ error: "Failed to kick player" })
+    }
+  })
+
+  // Goes to every connected client on every node
+  admin.post("/announcements", (req, res) => {
+    const message = typeof req.body?.message === "string" ? req.body.message.trim() : ""
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      res.status(400).json({ error: `message must be 1 to ${MAX_ANNOUNCEMENT_LENGTH} characters` })
+      return
+    }
+
+    const announcement = { id: randomUUID(), message, sentAt: Date.now() }
+    io.emit("announcement", announcement)
+    console.log(`[Server] Announcement sent: ${message}`)
+    res.status(201).json({ announcement })
+  })
+
+  app.use("/admin", admin)
+
+  let sweepInterval = null
+  let pruneInterval = null
+  let statsInterval = null
+
+  const listen = async (port) => {
+    try {
+      await sweepRooms()
+    } catch (error) {
+      console.error("Failed to restore rooms:", error)
+    }
+    sweepInterval = setInterval(() => {
+      sweepRooms().catch((error) => {
+        console.error("Room sweep failed:", error)
+      })
+    }, LEASE_RENEW_MS)
+    pruneInterval = setInterval(() => {
+      recordings.prune().catch((error) => {
+        console.error("Recording prune failed:", error)
+      })
+    }, RECORDING_PRUNE_MS)
+    statsInterval = setInterval(() => {
+      publishStats().catch((error) => {
+        console.error("Publishing stats failed:", error)
+      })
+    }, STATS_INTERVAL_MS)
+
+    await new Promise((resolve) => {
+      httpServer.listen(port, "0.0.0.0", resolve)
+    })
+
+    console.log(`Socket.IO server running on port ${port}`)
+    console.log(`WebSocket URL: ws://localhost:${port}`)
+    console.log("Ready to accept connections...")
+    console.log("Supported events:")
+    console.log("- create-room, join-room, rejoin-room, leave-room, start-game")
+    console.log("- update-room, restart-game")
+    console.log("- choose-word, chat-message, drawing-event, clear-canvas")
+    console.log("- undo-stroke, redo-stroke")
+    console.log("- kick-player, get-public-rooms")
+  }
+
+  // Stops this node without deleting its rooms, so another node can adopt them
+  const close = async () => {
+    clearInterval(sweepInterval)
+    clearInterval(pruneInterval)
+    clearInterval(statsInterval)
+    clearInterval(quickPlayTimer)
+    unsubscribe()
+    Array.from(rooms.keys()).forEach(dropRoom)
+    await new Promise((resolve) => {
+      io.close(() => resolve())
+    })
+  }
+
+  return {
+    nodeId,
+    app,
+    io,
+    httpServer,
+    listen,
+    close,
+  }
+}
+
+if (require.main === module) {
+  const PORT = process.env.PORT || process.env.SOCKET_PORT || 3001
+  createGameServer().listen(PORT)
+}
+
+module.exports = {
+  createGameServer,
+}
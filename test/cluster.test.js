@@ -0,0 +1,85 @@
+// Two game server nodes sharing one in-process cluster: a room created on
+// one node is joined and played from the other.
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const { io: connect } = require("socket.io-client")
+const { createGameServer } = require("../serversocket")
+const { createLocalCluster } = require("../lib/cluster")
+const { createProfileStore } = require("../lib/profiles")
+const { createRecordingArchive } = require("../lib/recordings")
+
+const createNode = (cluster) =>
+  createGameServer({
+    cluster,
+    profiles: createProfileStore(),
+    recordings: createRecordingArchive({ retentionMs: 60000 }),
+  })
+
+const urlOf = (node) => `http://localhost:${node.httpServer.address().port}`
+
+// Resolves with the next payload of event, or fails after a while
+const nextEvent = (socket, event, timeoutMs = 5000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs)
+    socket.once(event, (payload) => {
+      clearTimeout(timer)
+      resolve(payload)
+    })
+  })
+
+const request = (socket, event, payload) => socket.timeout(5000).emitWithAck(event, payload)
+
+const nodes = []
+const sockets = []
+
+const connectTo = async (node) => {
+  const socket = connect(urlOf(node), { transports: ["websocket"], forceNew: true })
+  sockets.push(socket)
+  await nextEvent(socket, "connect")
+  return socket
+}
+
+before(async () => {
+  const cluster = createLocalCluster()
+  nodes.push(createNode(cluster), createNode(cluster))
+  await Promise.all(nodes.map((node) => node.listen(0)))
+})
+
+after(async () => {
+  sockets.forEach((socket) => socket.close())
+  await Promise.all(nodes.map((node) => node.close()))
+})
+
+test("players on different nodes share a room and its game", async () => {
+  const [first, second] = nodes
+  const alice = await connectTo(first)
+  const bob = await connectTo(second)
+
+  const created = nextEvent(alice, "room-created")
+  alice.emit("create-room", { roomData: { name: "Cluster" }, player: { name: "Alice" } })
+  const { roomId } = await created
+
+  const joined = await request(bob, "join-room", { roomId, player: { name: "Bob" } })
+  assert.equal(joined.ok, true)
+
+  const choosing = Promise.all([nextEvent(alice, "word-choosing"), nextEvent(bob, "word-choosing")])
+  assert.equal((await request(alice, "start-game", { roomId })).ok, true)
+  const [aliceChoosing, bobChoosing] = await choosing
+
+  // Only the drawer is offered words
+  const [artist, guesser, { words }] = aliceChoosing.words ? [alice, bob, aliceChoosing] : [bob, alice, bobChoosing]
+  assert.equal(aliceChoosing.drawer.id, artist.id)
+  assert.ok(words.length > 0)
+
+  const started = nextEvent(guesser, "round-started")
+  assert.equal((await request(artist, "choose-word", { roomId, word: words[0] })).ok, true)
+  const round = await started
+  assert.equal(round.word, null)
+
+  const guessed = Promise.all([nextEvent(alice, "correct-guess"), nextEvent(bob, "correct-guess")])
+  assert.equal((await request(guesser, "chat-message", { roomId, message: words[0] })).ok, true)
+  const [toAlice, toBob] = await guessed
+  assert.equal(toAlice.word, words[0])
+  assert.equal(toBob.word, words[0])
+})